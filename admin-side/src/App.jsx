@@ -0,0 +1,630 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import './App.css';
+
+const API_URL = 'https://teacher-availability-app.onrender.com';
+
+// --- Session Tokens: a short-lived access token plus a refresh token that rotates on every use ---
+const TOKEN_KEY = 'admin-token';
+const REFRESH_TOKEN_KEY = 'admin-refresh-token';
+
+const storeSession = ({ token, refreshToken }) => {
+    localStorage.setItem(TOKEN_KEY, token);
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+};
+
+const clearSession = () => {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+// Components send the token they were rendered with; swap in the newest one
+axios.interceptors.request.use((config) => {
+    const token = localStorage.getItem(TOKEN_KEY);
+    if (token && config.headers.has('x-auth-token')) config.headers.set('x-auth-token', token);
+    return config;
+});
+
+// Requests that hit an expired token at the same time share one refresh
+let refreshPromise = null;
+const refreshSession = () => {
+    if (!refreshPromise) {
+        const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+        refreshPromise = axios.post(`${API_URL}/api/admin/auth/refresh`, { refreshToken })
+            .then(response => storeSession(response.data))
+            .catch(err => {
+                // Another tab may have rotated the shared token first, which is just as good
+                const latest = localStorage.getItem(REFRESH_TOKEN_KEY);
+                if (!latest || latest === refreshToken) throw err;
+            })
+            .finally(() => { refreshPromise = null; });
+    }
+    return refreshPromise;
+};
+
+// Response interceptor: retries an authenticated request once after a refresh, and
+// calls `onSessionEnded` when the session can't be refreshed any more
+const createAuthRetry = (onSessionEnded) => async (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || !config?.headers?.has('x-auth-token') || config.isRetry) throw error;
+    try {
+        await refreshSession();
+    } catch {
+        onSessionEnded();
+        throw error;
+    }
+    return axios({ ...config, isRetry: true });
+};
+
+// --- Main App: Handles Auth Routing ---
+export default function App() {
+    const [token, setToken] = useState(localStorage.getItem(TOKEN_KEY));
+    const [admin, setAdmin] = useState(() => {
+        const savedAdmin = localStorage.getItem('admin-info');
+        try {
+            return savedAdmin ? JSON.parse(savedAdmin) : null;
+        } catch {
+            return null;
+        }
+    });
+
+    const handleLoginSuccess = (session, adminData) => {
+        storeSession(session);
+        localStorage.setItem('admin-info', JSON.stringify(adminData));
+        setToken(session.token);
+        setAdmin(adminData);
+    };
+
+    const handleLogout = useCallback(() => {
+        // Revoke the session on the server too, without making the admin wait for it
+        const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+        if (refreshToken) axios.post(`${API_URL}/api/admin/auth/logout`, { refreshToken }).catch(() => {});
+        clearSession();
+        localStorage.removeItem('admin-info');
+        setToken(null);
+        setAdmin(null);
+    }, []);
+
+    // Expired access tokens are refreshed behind the scenes; a dead session logs out
+    useEffect(() => {
+        const interceptor = axios.interceptors.response.use(undefined, createAuthRetry(handleLogout));
+        return () => axios.interceptors.response.eject(interceptor);
+    }, [handleLogout]);
+
+    return (
+        <div className="admin-app-container">
+            {token && admin
+                ? <AdminDashboard token={token} admin={admin} onLogout={handleLogout} />
+                : <Login onLoginSuccess={handleLoginSuccess} />}
+        </div>
+    );
+}
+
+// --- Login Component ---
+function Login({ onLoginSuccess }) {
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+    // Set while the server is turning logins away (429), until the wait it gave has passed
+    const [retryAt, setRetryAt] = useState(null);
+
+    useEffect(() => {
+        if (!retryAt) return;
+        const timer = setTimeout(() => setRetryAt(null), Math.max(retryAt - Date.now(), 0));
+        return () => clearTimeout(timer);
+    }, [retryAt]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setIsLoading(true);
+        try {
+            const response = await axios.post(`${API_URL}/api/admin/auth/login`, { email, password });
+            const { token, refreshToken, admin } = response.data;
+            onLoginSuccess({ token, refreshToken }, admin);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Login failed. Please check your credentials.');
+            if (err.response?.status === 429) {
+                setRetryAt(Date.now() + (err.response.data?.retryAfterSeconds || 60) * 1000);
+            }
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="auth-form-container">
+            <h2 className="form-title">Admin Login</h2>
+            {error && <p className="form-error">{error}</p>}
+            <form onSubmit={handleSubmit}>
+                <div className="form-group">
+                    <label htmlFor="email">Email Address</label>
+                    <input id="email" type="email" value={email} onChange={e => setEmail(e.target.value)} placeholder="Enter your email" required />
+                </div>
+                <div className="form-group">
+                    <label htmlFor="password">Password</label>
+                    <input id="password" type="password" value={password} onChange={e => setPassword(e.target.value)} placeholder="Enter your password" required />
+                </div>
+                <button type="submit" className="form-submit-btn" disabled={isLoading || Boolean(retryAt)}>
+                    {retryAt ? 'Please wait...' : isLoading ? 'Logging in...' : 'Login'}
+                </button>
+            </form>
+        </div>
+    );
+}
+
+// --- Admin Dashboard: tabs for teachers, students and reports ---
+function AdminDashboard({ token, admin, onLogout }) {
+    const [tab, setTab] = useState('teachers');
+
+    // Sessions that couldn't be refreshed (the interceptor has already logged out) and
+    // non-admin tokens send the admin back to the login form; a 400 is just a bad request
+    const handleAuthError = useCallback((err) => {
+        if (err.response?.status === 401 || err.response?.status === 403) {
+            onLogout();
+            return true;
+        }
+        return false;
+    }, [onLogout]);
+
+    const renderTab = () => {
+        switch (tab) {
+            case 'students':
+                return <StudentManager token={token} onAuthError={handleAuthError} />;
+            case 'reports':
+                return (
+                    <>
+                        <Reports token={token} onAuthError={handleAuthError} />
+                        <AnalyticsReport token={token} onAuthError={handleAuthError} />
+                    </>
+                );
+            default:
+                return <TeacherManager token={token} onAuthError={handleAuthError} />;
+        }
+    };
+
+    return (
+        <div className="admin-dashboard-container">
+            <header className="dashboard-header">
+                <div className="header-content">
+                    <div>
+                        <h1 className="header-title">Administration</h1>
+                        <p className="header-subtitle">Signed in as {admin.name}</p>
+                    </div>
+                    <button onClick={onLogout} className="logout-button">Logout</button>
+                </div>
+            </header>
+            <main className="main-content">
+                <nav className="tab-bar">
+                    {['teachers', 'students', 'reports'].map(name => (
+                        <button key={name} onClick={() => setTab(name)} className={`tab-button ${tab === name ? 'tab-active' : ''}`}>
+                            {name.charAt(0).toUpperCase() + name.slice(1)}
+                        </button>
+                    ))}
+                </nav>
+                {renderTab()}
+            </main>
+        </div>
+    );
+}
+
+// --- Helper: label and style for an account status (missing means a pre-approval account) ---
+const getAccountStatus = (account) => {
+    const status = account.accountStatus || 'active';
+    return { status, label: status.charAt(0).toUpperCase() + status.slice(1) };
+};
+
+// --- Teacher Manager Component: approve, deactivate and reset passwords ---
+function TeacherManager({ token, onAuthError }) {
+    const [teachers, setTeachers] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('pending');
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+
+    const fetchTeachers = useCallback(async () => {
+        setError('');
+        try {
+            const response = await axios.get(`${API_URL}/api/admin/teachers`, {
+                headers: { 'x-auth-token': token },
+                params: { status: statusFilter || undefined }
+            });
+            setTeachers(response.data);
+        } catch (err) {
+            if (!onAuthError(err)) setError(err.response?.data?.message || 'Could not load teachers.');
+        }
+    }, [token, statusFilter, onAuthError]);
+
+    useEffect(() => {
+        fetchTeachers();
+    }, [fetchTeachers]);
+
+    const handleStatusChange = async (teacherId, accountStatus) => {
+        setError('');
+        try {
+            await axios.put(`${API_URL}/api/admin/teachers/${teacherId}/status`, { accountStatus }, {
+                headers: { 'x-auth-token': token }
+            });
+            fetchTeachers();
+        } catch (err) {
+            if (!onAuthError(err)) setError(err.response?.data?.message || 'Could not update the account.');
+        }
+    };
+
+    const handleResetPassword = async (teacher) => {
+        if (!window.confirm(`Reset the password for ${teacher.name}?`)) return;
+        setError('');
+        try {
+            const response = await axios.put(`${API_URL}/api/admin/teachers/${teacher._id}/password`, {}, {
+                headers: { 'x-auth-token': token }
+            });
+            setNotice(`Temporary password for ${teacher.name}: ${response.data.temporaryPassword}`);
+        } catch (err) {
+            if (!onAuthError(err)) setError(err.response?.data?.message || 'Could not reset the password.');
+        }
+    };
+
+    return (
+        <section className="panel">
+            <div className="panel-header">
+                <h2 className="panel-title">Teachers</h2>
+                <select value={statusFilter} onChange={e => setStatusFilter(e.target.value)} className="filter-select" aria-label="Filter teachers by status">
+                    <option value="pending">Awaiting approval</option>
+                    <option value="active">Active</option>
+                    <option value="deactivated">Deactivated</option>
+                    <option value="">All</option>
+                </select>
+            </div>
+            {error && <p className="form-error">{error}</p>}
+            {notice && <p className="notice" onClick={() => setNotice('')}>{notice}</p>}
+            {teachers.length === 0 ? (
+                <p className="empty-text">No teachers to show.</p>
+            ) : (
+                <table className="account-table">
+                    <thead>
+                        <tr><th>Name</th><th>Email</th><th>Room</th><th>Status</th><th>Actions</th></tr>
+                    </thead>
+                    <tbody>
+                        {teachers.map(t => {
+                            const { status, label } = getAccountStatus(t);
+                            return (
+                                <tr key={t._id}>
+                                    <td>{t.name}</td>
+                                    <td>{t.email}</td>
+                                    <td>{t.roomno}</td>
+                                    <td><span className={`status-tag status-${status}`}>{label}</span></td>
+                                    <td className="action-cell">
+                                        {status !== 'active' && (
+                                            <button onClick={() => handleStatusChange(t._id, 'active')} className="btn-approve">
+                                                {status === 'pending' ? 'Approve' : 'Reactivate'}
+                                            </button>
+                                        )}
+                                        {status !== 'deactivated' && (
+                                            <button onClick={() => handleStatusChange(t._id, 'deactivated')} className="btn-deactivate">
+                                                {status === 'pending' ? 'Reject' : 'Deactivate'}
+                                            </button>
+                                        )}
+                                        <button onClick={() => handleResetPassword(t)} className="btn-secondary">Reset Password</button>
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            )}
+        </section>
+    );
+}
+
+// --- Student Manager Component ---
+function StudentManager({ token, onAuthError }) {
+    const [students, setStudents] = useState([]);
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+
+    const fetchStudents = useCallback(async () => {
+        setError('');
+        try {
+            const response = await axios.get(`${API_URL}/api/admin/students`, {
+                headers: { 'x-auth-token': token }
+            });
+            setStudents(response.data);
+        } catch (err) {
+            if (!onAuthError(err)) setError(err.response?.data?.message || 'Could not load students.');
+        }
+    }, [token, onAuthError]);
+
+    useEffect(() => {
+        fetchStudents();
+    }, [fetchStudents]);
+
+    const handleStatusChange = async (studentId, accountStatus) => {
+        setError('');
+        try {
+            await axios.put(`${API_URL}/api/admin/students/${studentId}/status`, { accountStatus }, {
+                headers: { 'x-auth-token': token }
+            });
+            fetchStudents();
+        } catch (err) {
+            if (!onAuthError(err)) setError(err.response?.data?.message || 'Could not update the account.');
+        }
+    };
+
+    const handleResetPassword = async (student) => {
+        if (!window.confirm(`Reset the password for ${student.name}?`)) return;
+        setError('');
+        try {
+            const response = await axios.put(`${API_URL}/api/admin/students/${student._id}/password`, {}, {
+                headers: { 'x-auth-token': token }
+            });
+            setNotice(`Temporary password for ${student.name}: ${response.data.temporaryPassword}`);
+        } catch (err) {
+            if (!onAuthError(err)) setError(err.response?.data?.message || 'Could not reset the password.');
+        }
+    };
+
+    return (
+        <section className="panel">
+            <div className="panel-header">
+                <h2 className="panel-title">Students ({students.length})</h2>
+            </div>
+            {error && <p className="form-error">{error}</p>}
+            {notice && <p className="notice" onClick={() => setNotice('')}>{notice}</p>}
+            {students.length === 0 ? (
+                <p className="empty-text">No students registered yet.</p>
+            ) : (
+                <table className="account-table">
+                    <thead>
+                        <tr><th>Name</th><th>Email</th><th>Joined</th><th>Status</th><th>Actions</th></tr>
+                    </thead>
+                    <tbody>
+                        {students.map(st => {
+                            const { status, label } = getAccountStatus(st);
+                            return (
+                                <tr key={st._id}>
+                                    <td>{st.name}</td>
+                                    <td>{st.email}</td>
+                                    <td>{new Date(st.createdAt).toLocaleDateString()}</td>
+                                    <td><span className={`status-tag status-${status}`}>{label}</span></td>
+                                    <td className="action-cell">
+                                        {status === 'deactivated' ? (
+                                            <button onClick={() => handleStatusChange(st._id, 'active')} className="btn-approve">Reactivate</button>
+                                        ) : (
+                                            <button onClick={() => handleStatusChange(st._id, 'deactivated')} className="btn-deactivate">Deactivate</button>
+                                        )}
+                                        <button onClick={() => handleResetPassword(st)} className="btn-secondary">Reset Password</button>
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            )}
+        </section>
+    );
+}
+
+// --- Helper: save a binary API response as a file download ---
+// The URL is revoked a moment later; revoking straight after click() can cancel the download.
+const saveBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// --- Report download formats offered by the server ---
+const REPORT_FORMATS = [
+    { value: 'xlsx', label: 'Excel (.xlsx)' },
+    { value: 'csv', label: 'CSV (.csv)' },
+    { value: 'pdf', label: 'PDF (.pdf)' }
+];
+
+function FormatSelect({ id, value, onChange }) {
+    return (
+        <div className="form-group">
+            <label htmlFor={id}>Format</label>
+            <select id={id} value={value} onChange={e => onChange(e.target.value)} className="filter-select">
+                {REPORT_FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+            </select>
+        </div>
+    );
+}
+
+// --- Reports Component: only admins may download reports ---
+function Reports({ token, onAuthError }) {
+    const today = new Date().toISOString().split('T')[0];
+    const [range, setRange] = useState({ from: today, to: today });
+    const [format, setFormat] = useState('xlsx');
+    const [error, setError] = useState('');
+    const [isDownloading, setIsDownloading] = useState(false);
+
+    const handleDownload = async () => {
+        setError('');
+        setIsDownloading(true);
+        try {
+            const response = await axios.get(`${API_URL}/api/reports/daily`, {
+                headers: { 'x-auth-token': token },
+                params: { ...range, format },
+                responseType: 'blob'
+            });
+            const label = range.from === range.to ? range.from : `${range.from}_to_${range.to}`;
+            saveBlob(response.data, `DailyReport-${label}.${format}`);
+        } catch (err) {
+            if (!onAuthError(err)) setError('Could not generate the report. Please try again.');
+        } finally {
+            setIsDownloading(false);
+        }
+    };
+
+    const handleChange = (e) => setRange({ ...range, [e.target.name]: e.target.value });
+
+    return (
+        <section className="panel">
+            <div className="panel-header">
+                <h2 className="panel-title">Daily Report</h2>
+            </div>
+            {error && <p className="form-error">{error}</p>}
+            <div className="report-filters">
+                <div className="form-group">
+                    <label htmlFor="reportFrom">From</label>
+                    <input id="reportFrom" name="from" type="date" value={range.from} max={range.to} onChange={handleChange} required />
+                </div>
+                <div className="form-group">
+                    <label htmlFor="reportTo">To</label>
+                    <input id="reportTo" name="to" type="date" value={range.to} min={range.from} onChange={handleChange} required />
+                </div>
+                <FormatSelect id="reportFormat" value={format} onChange={setFormat} />
+            </div>
+            <div className="report-controls">
+                <button onClick={handleDownload} className="form-submit-btn" disabled={isDownloading || !range.from || !range.to}>
+                    {isDownloading ? 'Generating...' : 'Download Report'}
+                </button>
+            </div>
+        </section>
+    );
+}
+
+// --- Helper: format seconds as a short "Xm Ys" duration ---
+const formatSeconds = (seconds) => {
+    if (seconds === null || seconds === undefined) return '—';
+    const minutes = Math.floor(seconds / 60);
+    return minutes ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+};
+
+// --- Analytics Report Component: per-teacher totals over a date range ---
+function AnalyticsReport({ token, onAuthError }) {
+    const today = new Date().toISOString().split('T')[0];
+    const [filters, setFilters] = useState({
+        from: new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+        to: today,
+        teacherId: '',
+        groupBy: ''
+    });
+    const [teachers, setTeachers] = useState([]);
+    const [rows, setRows] = useState(null);
+    const [format, setFormat] = useState('xlsx');
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    useEffect(() => {
+        axios.get(`${API_URL}/api/admin/teachers`, { headers: { 'x-auth-token': token } })
+            .then(response => setTeachers(response.data))
+            .catch(err => onAuthError(err));
+    }, [token, onAuthError]);
+
+    const handleChange = (e) => setFilters({ ...filters, [e.target.name]: e.target.value });
+
+    const fetchReport = (format) => axios.get(`${API_URL}/api/reports/analytics`, {
+        headers: { 'x-auth-token': token },
+        params: {
+            from: filters.from,
+            to: filters.to,
+            teacherId: filters.teacherId || undefined,
+            groupBy: filters.groupBy || undefined,
+            format
+        },
+        responseType: format === 'json' ? 'json' : 'blob'
+    });
+
+    const runReport = async (format) => {
+        setError('');
+        setIsLoading(true);
+        try {
+            const response = await fetchReport(format);
+            if (format === 'json') {
+                setRows(response.data.rows);
+            } else {
+                saveBlob(response.data, `AnalyticsReport-${filters.from}_to_${filters.to}.${format}`);
+            }
+        } catch (err) {
+            if (!onAuthError(err)) {
+                // Blob responses hide the JSON error body, so fall back to a generic message
+                setError(err.response?.data?.message || 'Could not generate the analytics report.');
+            }
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <section className="panel analytics-panel">
+            <div className="panel-header">
+                <h2 className="panel-title">Analytics</h2>
+            </div>
+            {error && <p className="form-error">{error}</p>}
+            <div className="report-filters">
+                <div className="form-group">
+                    <label htmlFor="analyticsFrom">From</label>
+                    <input id="analyticsFrom" name="from" type="date" value={filters.from} max={filters.to} onChange={handleChange} required />
+                </div>
+                <div className="form-group">
+                    <label htmlFor="analyticsTo">To</label>
+                    <input id="analyticsTo" name="to" type="date" value={filters.to} min={filters.from} onChange={handleChange} required />
+                </div>
+                <div className="form-group">
+                    <label htmlFor="analyticsTeacher">Teacher</label>
+                    <select id="analyticsTeacher" name="teacherId" value={filters.teacherId} onChange={handleChange} className="filter-select">
+                        <option value="">All teachers</option>
+                        {teachers.map(t => <option key={t._id} value={t._id}>{t.name}</option>)}
+                    </select>
+                </div>
+                <div className="form-group">
+                    <label htmlFor="analyticsGroupBy">Group by</label>
+                    <select id="analyticsGroupBy" name="groupBy" value={filters.groupBy} onChange={handleChange} className="filter-select">
+                        <option value="">Whole range</option>
+                        <option value="week">Week</option>
+                        <option value="month">Month</option>
+                    </select>
+                </div>
+                <FormatSelect id="analyticsFormat" value={format} onChange={setFormat} />
+            </div>
+            <div className="action-cell">
+                <button onClick={() => runReport('json')} className="btn-secondary" disabled={isLoading || !filters.from || !filters.to}>
+                    {isLoading ? 'Loading...' : 'Show Summary'}
+                </button>
+                <button onClick={() => runReport(format)} className="btn-approve" disabled={isLoading || !filters.from || !filters.to}>
+                    Download Report
+                </button>
+            </div>
+            {rows && (rows.length === 0 ? (
+                <p className="empty-text">No teachers match these filters.</p>
+            ) : (
+                <table className="account-table analytics-table">
+                    <thead>
+                        <tr>
+                            <th>Period</th>
+                            <th>Teacher</th>
+                            <th>Available (h)</th>
+                            <th>Received</th>
+                            <th>Handled</th>
+                            <th>Avg Handling</th>
+                            <th>Avg Rating</th>
+                            <th>Satisfied</th>
+                            <th>Not Satisfied</th>
+                            <th>Satisfaction</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map(row => (
+                            <tr key={`${row.teacherId}-${row.periodStart}`}>
+                                <td>{new Date(row.periodStart).toLocaleDateString()}</td>
+                                <td>{row.teacherName}</td>
+                                <td>{row.availableHours}</td>
+                                <td>{row.queriesReceived}</td>
+                                <td>{row.queriesHandled}</td>
+                                <td>{formatSeconds(row.averageHandlingSeconds)}</td>
+                                <td>{row.averageRating === null ? '—' : `${row.averageRating} (${row.ratedCount})`}</td>
+                                <td>{row.satisfied}</td>
+                                <td>{row.notSatisfied}</td>
+                                <td>{row.satisfactionRate === null ? '—' : `${row.satisfactionRate}%`}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            ))}
+        </section>
+    );
+}
@@ -8,8 +8,18 @@ const cors = require('cors');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
 const exceljs = require('exceljs');
-const { startOfDay, endOfDay, parseISO } = require('date-fns');
+const PDFDocument = require('pdfkit');
+const nodemailer = require('nodemailer');
+const { once } = require('events');
+const {
+    startOfDay, endOfDay, parseISO, addDays, set, isValid,
+    startOfWeek, startOfMonth, addWeeks, addMonths, subDays, differenceInCalendarDays
+} = require('date-fns');
 const dotenv = require('dotenv');
 dotenv.config();
 //
@@ -17,10 +27,14 @@ dotenv.config();
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, {
-    cors: { origin: "*", methods: ["GET", "POST", "PUT"] }
+    cors: { origin: "*", methods: ["GET", "POST", "PUT", "DELETE"] }
 });
 
 // 3. MIDDLEWARE
+// Behind a load balancer, req.ip (used for rate limits and session details) is only the
+// client's address if Express trusts the proxy: TRUST_PROXY=1 trusts one hop, for example
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'true' || TRUST_PROXY);
 app.use(cors());
 app.use(express.json());
 
@@ -29,20 +43,79 @@ const MONGO_URI = process.env.MONGO_URI;
 const JWT_SECRET = process.env.SECRET_KEY;
 
 mongoose.connect(MONGO_URI)
-    .then(() => console.log("MongoDB connected successfully."))
+    .then(() => {
+        console.log("MongoDB connected successfully.");
+        seedAdminAccount();
+        restoreNoShowTimers();
+        startAvailabilityScheduler();
+        startStaleAvailabilityWatch();
+        startStatusExpiryWatch();
+    })
     .catch(err => console.error("MongoDB connection error:", err));
 
 // 5. DATABASE SCHEMAS AND MODELS
 
+// Account lifecycle shared by teachers and students. New teachers wait for admin approval;
+// documents created before approvals existed have no value and count as active.
+const ACCOUNT_STATUSES = ['pending', 'active', 'deactivated'];
+const ACTIVE_ACCOUNT = { $in: ['active', null] };
+const isActiveAccount = (account) => ACTIVE_ACCOUNT.$in.includes(account.accountStatus ?? null);
+
+// What opened or closed an availability session
+const AVAILABILITY_SOURCES = ['manual', 'schedule', 'auto-timeout', 'expiry'];
+
+// What a teacher is doing right now. Only the AVAILABLE_STATUSES open an availability
+// session (and so accrue TimeRecord time); `isAvailable` mirrors that for queries and sorting.
+const AVAILABILITY_STATUSES = ['available', 'online_only', 'in_class', 'in_meeting', 'away', 'unavailable'];
+const AVAILABLE_STATUSES = ['available', 'online_only'];
+const STATUS_MESSAGE_MAX_LENGTH = 140;
+
 // --- Teacher Model ---
 const teacherSchema = new mongoose.Schema({
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true },
     password: { type: String, required: true },
+    accountStatus: { type: String, enum: ACCOUNT_STATUSES },
+    // False until the emailed verification link is used; unset on accounts from before verification
+    emailVerified: { type: Boolean },
     phone: { type: String, required: true},
     roomno: { type: String, required: true},
+    // Directory details students can search and filter by
+    department: { type: String, trim: true, default: '', index: true },
+    designation: { type: String, trim: true, default: '' },
+    subjects: [{ type: String, trim: true }],
+    // Which contact details students can see; name, role and subjects are always listed
+    privacy: {
+        email: { type: Boolean, default: true },
+        phone: { type: Boolean, default: false },
+        roomno: { type: Boolean, default: true }
+    },
+    // Profile picture in file storage; `updatedAt` lets clients bust their cache
+    avatar: {
+        storageKey: { type: String },
+        mimeType: { type: String },
+        updatedAt: { type: Date }
+    },
     isAvailable: { type: Boolean, default: false },
-    lastAvailableTimestamp: { type: Date } // For time tracking
+    // No default: records from before statuses existed derive theirs from `isAvailable`
+    availabilityStatus: { type: String, enum: AVAILABILITY_STATUSES },
+    statusMessage: { type: String, trim: true, default: '' },
+    // When set, the status reverts to `revertTo` at `at` (e.g. "back in 10 minutes")
+    statusExpiry: {
+        at: { type: Date },
+        revertTo: { type: String, enum: AVAILABILITY_STATUSES }
+    },
+    lastAvailableTimestamp: { type: Date }, // For time tracking
+    lastHeartbeatAt: { type: Date }, // Last sign of life from the teacher's dashboard socket
+    // What caused the last availability change
+    availabilitySource: { type: String, enum: AVAILABILITY_SOURCES },
+    // Set by a manual status pick; the scheduler leaves the teacher alone until `until`
+    // (no `until` means there is no upcoming slot boundary, so it holds indefinitely)
+    scheduleOverride: {
+        isAvailable: { type: Boolean },
+        setAt: { type: Date },
+        until: { type: Date }
+    }
 });
 const Teacher = mongoose.model('Teacher', teacherSchema);
 
@@ -51,21 +124,116 @@ const studentSchema = new mongoose.Schema({
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true },
     password: { type: String, required: true },
+    accountStatus: { type: String, enum: ACCOUNT_STATUSES },
+    emailVerified: { type: Boolean }, // Same meaning as on teachers
 }, { timestamps: true });
 const Student = mongoose.model('Student', studentSchema);
 
+// --- Admin Model ---
+const adminSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    email: { type: String, required: true, unique: true },
+    password: { type: String, required: true },
+}, { timestamps: true });
+const Admin = mongoose.model('Admin', adminSchema);
+
+// --- AccountToken Model ---
+// Single-use links for password resets and email verification. Only a hash of the token is
+// stored, and MongoDB's TTL monitor removes tokens once they expire.
+const ACCOUNT_TYPES = ['teacher', 'student'];
+const ACCOUNT_TOKEN_PURPOSES = ['password_reset', 'email_verification'];
+const accountTokenSchema = new mongoose.Schema({
+    accountType: { type: String, enum: ACCOUNT_TYPES, required: true },
+    account: { type: mongoose.Schema.Types.ObjectId, required: true },
+    purpose: { type: String, enum: ACCOUNT_TOKEN_PURPOSES, required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true, expires: 0 }
+}, { timestamps: true });
+accountTokenSchema.index({ accountType: 1, account: 1, purpose: 1 });
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+// --- AuthSession Model ---
+// One per signed-in device. Access tokens name their session (`sid`), so deleting it signs
+// the device out; the refresh token is stored hashed and replaced on every refresh.
+// Admins sign in through sessions as well, though they get no emailed links.
+const SESSION_ACCOUNT_TYPES = [...ACCOUNT_TYPES, 'admin'];
+const authSessionSchema = new mongoose.Schema({
+    accountType: { type: String, enum: SESSION_ACCOUNT_TYPES, required: true },
+    account: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    refreshTokenHash: { type: String, required: true, unique: true },
+    userAgent: { type: String, default: '' },
+    ip: { type: String, default: '' },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true, expires: 0 }
+}, { timestamps: true });
+const AuthSession = mongoose.model('AuthSession', authSessionSchema);
+
+
+// --- Attachment Subdocument ---
+// Files uploaded with a query or message; `storageKey` is resolved by the attachment storage backend
+const attachmentSchema = new mongoose.Schema({
+    storageKey: { type: String, required: true },
+    originalName: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true }
+});
+
+// --- Feedback Subdocument ---
+// A student's rating of a finished session, with an optional comment and quick tags
+const FEEDBACK_TAGS = [
+    'explained_clearly', 'helpful_examples', 'patient',
+    'ran_out_of_time', 'still_confused', 'hard_to_follow'
+];
+const FEEDBACK_COMMENT_MAX_LENGTH = 1000;
+const feedbackSchema = new mongoose.Schema({
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    comment: { type: String, trim: true, maxlength: FEEDBACK_COMMENT_MAX_LENGTH, default: '' },
+    tags: [{ type: String, enum: FEEDBACK_TAGS }],
+    submittedAt: { type: Date, required: true }
+}, { _id: false });
 
 // --- Query Model ---
 const querySchema = new mongoose.Schema({
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', index: true },
     studentName: { type: String, required: true },
     queryText: { type: String, required: true },
     teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher', required: true },
-    status: { type: String, enum: ['pending', 'ended'], default: 'pending' },
-    resolution: { type: String, enum: ['satisfied', 'not_satisfied', null], default: null }
+    status: {
+        type: String,
+        enum: ['pending', 'called', 'in_session', 'ended', 'no_show', 'cancelled'],
+        default: 'pending'
+    },
+    // One timestamp per lifecycle transition
+    calledAt: { type: Date },
+    startedAt: { type: Date },
+    endedAt: { type: Date },
+    noShowAt: { type: Date },
+    cancelledAt: { type: Date },
+    // Binary outcome from before ratings existed; kept for old queries, no longer written
+    resolution: { type: String, enum: ['satisfied', 'not_satisfied', null], default: null },
+    feedback: { type: feedbackSchema, default: null },
+    attachments: [attachmentSchema]
 }, { timestamps: true });
 const Query = mongoose.model('Query', querySchema);
 
+// --- QueryMessage Model ---
+// Follow-up conversation on a query between the student who raised it and the teacher
+const QUERY_MESSAGE_MAX_LENGTH = 2000;
+const queryMessageSchema = new mongoose.Schema({
+    query: { type: mongoose.Schema.Types.ObjectId, ref: 'Query', required: true },
+    senderRole: { type: String, enum: ['student', 'teacher'], required: true },
+    sender: { type: mongoose.Schema.Types.ObjectId, required: true },
+    senderName: { type: String, required: true },
+    // A message may be attachments only, so text can be empty
+    text: { type: String, default: '', trim: true, maxlength: QUERY_MESSAGE_MAX_LENGTH },
+    attachments: [attachmentSchema]
+}, { timestamps: true });
+queryMessageSchema.index({ 'attachments._id': 1 });
+queryMessageSchema.index({ query: 1, createdAt: 1 });
+const QueryMessage = mongoose.model('QueryMessage', queryMessageSchema);
+
 // --- TimeRecord Model ---
+// Per-day rollup of closed AvailabilitySessions, split at midnight
 const timeRecordSchema = new mongoose.Schema({
     teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher', required: true },
     date: { type: Date, required: true },
@@ -73,29 +241,460 @@ const timeRecordSchema = new mongoose.Schema({
 });
 const TimeRecord = mongoose.model('TimeRecord', timeRecordSchema);
 
+// --- AvailabilitySession Model ---
+// One document per stretch of availability; `end` stays null while the teacher is still available
+const availabilitySessionSchema = new mongoose.Schema({
+    teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher', required: true },
+    start: { type: Date, required: true },
+    end: { type: Date, default: null },
+    source: { type: String, enum: AVAILABILITY_SOURCES, required: true },
+    endSource: { type: String, enum: AVAILABILITY_SOURCES }
+});
+availabilitySessionSchema.index({ teacher: 1, start: 1 });
+availabilitySessionSchema.index({ teacher: 1, end: 1 });
+const AvailabilitySession = mongoose.model('AvailabilitySession', availabilitySessionSchema);
+
+// --- Schedule Model ---
+// Times are "HH:mm" strings in the server's local time zone (set TZ to match the campus).
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const weeklySlotSchema = new mongoose.Schema({
+    dayOfWeek: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+    startTime: { type: String, match: TIME_OF_DAY, required: true },
+    endTime: { type: String, match: TIME_OF_DAY, required: true }
+});
+const scheduleExceptionSchema = new mongoose.Schema({
+    date: { type: Date, required: true }, // start of the affected day
+    // 'cancelled' removes office hours (the whole day, or only the given window);
+    // 'extra' adds a one-off slot
+    type: { type: String, enum: ['cancelled', 'extra'], required: true },
+    startTime: { type: String, match: TIME_OF_DAY },
+    endTime: { type: String, match: TIME_OF_DAY },
+    reason: { type: String, trim: true }
+});
+const scheduleSchema = new mongoose.Schema({
+    teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher', required: true, unique: true },
+    weeklySlots: [weeklySlotSchema],
+    exceptions: [scheduleExceptionSchema]
+}, { timestamps: true });
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+
+// --- Appointment Model ---
+const appointmentSchema = new mongoose.Schema({
+    teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher', required: true },
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true, index: true },
+    studentName: { type: String, required: true },
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    topic: { type: String, trim: true },
+    status: { type: String, enum: ['booked', 'cancelled'], default: 'booked' },
+    cancelledAt: { type: Date },
+    cancelledBy: { type: String, enum: ['student', 'teacher', 'admin'] }
+}, { timestamps: true });
+// A slot can only hold one live booking; cancelled ones don't count
+appointmentSchema.index(
+    { teacher: 1, start: 1 },
+    { unique: true, partialFilterExpression: { status: 'booked' } }
+);
+const Appointment = mongoose.model('Appointment', appointmentSchema);
+
 
 // 6. AUTH MIDDLEWARE (Renamed for clarity)
-const teacherAuthMiddleware = (req, res, next) => {
+// Tokens outlive an admin's decision, so teacher and student accounts are re-checked on every request.
+// Every token is also checked against the session it belongs to (gone once that device logs out).
+// Expired access tokens get a 401 with a code, which tells the apps to refresh and retry.
+const TOKEN_EXPIRED = { message: 'Token has expired', code: 'TOKEN_EXPIRED' };
+const SESSION_ENDED = { message: 'Your session has ended. Please log in again.' };
+
+const teacherAuthMiddleware = async (req, res, next) => {
     const token = req.header('x-auth-token');
     if (!token) return res.status(401).json({ message: 'No token, authorization denied' });
+    let decoded;
     try {
-        req.teacher = jwt.verify(token, JWT_SECRET);
-        next();
+        decoded = jwt.verify(token, JWT_SECRET);
+    } catch (e) {
+        if (e.name === 'TokenExpiredError') return res.status(401).json(TOKEN_EXPIRED);
+        return res.status(400).json({ message: 'Token is not valid' });
+    }
+    // Teacher tokens carry no role claim; anything else belongs to another account type
+    if (decoded.role) {
+        return res.status(403).json({ message: 'Access denied: teacher account required' });
+    }
+    try {
+        const [isActive, hasSession] = await Promise.all([
+            Teacher.exists({ _id: decoded.id, accountStatus: ACTIVE_ACCOUNT }),
+            decoded.sid && AuthSession.exists({ _id: decoded.sid })
+        ]);
+        if (!isActive) return res.status(403).json({ message: 'Account is not active' });
+        if (!hasSession) return res.status(401).json(SESSION_ENDED);
+    } catch (e) {
+        return res.status(500).json({ message: 'Server error checking account.' });
+    }
+    req.teacher = decoded;
+    next();
+};
+
+const studentAuthMiddleware = async (req, res, next) => {
+    const token = req.header('x-auth-token');
+    if (!token) return res.status(401).json({ message: 'No token, authorization denied' });
+    let decoded;
+    try {
+        decoded = jwt.verify(token, JWT_SECRET);
+    } catch (e) {
+        if (e.name === 'TokenExpiredError') return res.status(401).json(TOKEN_EXPIRED);
+        return res.status(400).json({ message: 'Token is not valid' });
+    }
+    if (decoded.role !== 'student') {
+        return res.status(403).json({ message: 'Access denied: student account required' });
+    }
+    try {
+        const [isActive, hasSession] = await Promise.all([
+            Student.exists({ _id: decoded.id, accountStatus: ACTIVE_ACCOUNT }),
+            decoded.sid && AuthSession.exists({ _id: decoded.sid })
+        ]);
+        if (!isActive) return res.status(403).json({ message: 'Account is not active' });
+        if (!hasSession) return res.status(401).json(SESSION_ENDED);
+    } catch (e) {
+        return res.status(500).json({ message: 'Server error checking account.' });
+    }
+    req.student = decoded;
+    next();
+};
+
+// Routes both apps call (query threads, teacher avatars) take either token; the role claim picks the check
+const queryParticipantAuthMiddleware = (req, res, next) => {
+    const decoded = jwt.decode(req.header('x-auth-token') || '');
+    if (decoded?.role === 'student') return studentAuthMiddleware(req, res, next);
+    return teacherAuthMiddleware(req, res, next);
+};
+
+const adminAuthMiddleware = async (req, res, next) => {
+    const token = req.header('x-auth-token');
+    if (!token) return res.status(401).json({ message: 'No token, authorization denied' });
+    let decoded;
+    try {
+        decoded = jwt.verify(token, JWT_SECRET);
+    } catch (e) {
+        if (e.name === 'TokenExpiredError') return res.status(401).json(TOKEN_EXPIRED);
+        return res.status(400).json({ message: 'Token is not valid' });
+    }
+    if (decoded.role !== 'admin') {
+        return res.status(403).json({ message: 'Access denied: admin account required' });
+    }
+    try {
+        if (!(decoded.sid && await AuthSession.exists({ _id: decoded.sid }))) {
+            return res.status(401).json(SESSION_ENDED);
+        }
     } catch (e) {
-        res.status(400).json({ message: 'Token is not valid' });
+        return res.status(500).json({ message: 'Server error checking account.' });
     }
+    req.admin = decoded;
+    next();
 };
 
 // 7. API ROUTES
 
+// --- Rate Limiting: per-IP and per-account request limits, plus login lockout ---
+// A rate limit store keeps fixed-window counters:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>, get(key) -> Promise<{ count, resetAt } | null>,
+//   reset(key) -> Promise
+// Counters live in process memory by default; a shared store (e.g. Redis) is needed once
+// the API runs on more than one instance, and can be registered alongside it.
+const createMemoryRateLimitStore = () => {
+    const entries = new Map(); // key -> { count, resetAt }
+    const live = (key) => {
+        const entry = entries.get(key);
+        if (entry && entry.resetAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+    // Finished windows are dropped as they're read, and swept now and then for keys never seen again
+    setInterval(() => {
+        const now = Date.now();
+        entries.forEach((entry, key) => { if (entry.resetAt <= now) entries.delete(key); });
+    }, 60 * 1000).unref();
+
+    return {
+        async increment(key, windowMs) {
+            let entry = live(key);
+            if (!entry) {
+                entry = { count: 0, resetAt: Date.now() + windowMs };
+                entries.set(key, entry);
+            }
+            entry.count += 1;
+            return { ...entry };
+        },
+        async get(key) {
+            const entry = live(key);
+            return entry && { ...entry };
+        },
+        async reset(key) {
+            entries.delete(key);
+        }
+    };
+};
+
+const RATE_LIMIT_STORES = {
+    memory: createMemoryRateLimitStore
+};
+const rateLimitStore = RATE_LIMIT_STORES[process.env.RATE_LIMIT_STORE || 'memory']();
+
+const MINUTE_MS = 60 * 1000;
+
+const describeWait = (ms) => {
+    const minutes = Math.ceil(ms / MINUTE_MS);
+    return minutes <= 1 ? 'a minute' : `${minutes} minutes`;
+};
+
+// The code and retryAfterSeconds let the apps explain the wait and hold off until it's over
+const sendRateLimited = (res, resetAt, message) => {
+    const retryAfterSeconds = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+    res.set('Retry-After', String(retryAfterSeconds));
+    res.status(429).json({
+        message: `${message} Please try again in ${describeWait(retryAfterSeconds * 1000)}.`,
+        code: 'RATE_LIMITED',
+        retryAfterSeconds
+    });
+};
+
+// Middleware allowing `max` requests per `windowMs` for each key; `keyOf` returns null to skip
+const createRateLimiter = ({ name, windowMs, max, keyOf = (req) => req.ip, message }) => async (req, res, next) => {
+    try {
+        const key = keyOf(req);
+        if (!key) return next();
+        const { count, resetAt } = await rateLimitStore.increment(`${name}:${key}`, windowMs);
+        if (count > max) return sendRateLimited(res, resetAt, message);
+        next();
+    } catch (error) {
+        // A store outage shouldn't take the API down with it
+        console.error("Rate limit store error:", error);
+        next();
+    }
+};
+
+// Generous per-IP limits, since a whole campus can share one address; guessing a single
+// account's password is stopped by the lockout below instead
+const loginLimiter = createRateLimiter({
+    name: 'login', windowMs: 15 * MINUTE_MS, max: 50, message: "Too many login attempts from your network."
+});
+const registerLimiter = createRateLimiter({
+    name: 'register', windowMs: 60 * MINUTE_MS, max: 10, message: "Too many accounts created from your network."
+});
+const accountEmailLimiter = createRateLimiter({
+    name: 'account-email', windowMs: 60 * MINUTE_MS, max: 10, message: "Too many email requests from your network."
+});
+const queryLimiter = createRateLimiter({
+    name: 'query', windowMs: 10 * MINUTE_MS, max: 10, keyOf: (req) => req.student?.id, message: "You've sent a lot of queries."
+});
+
+// Login lockout: LOCKOUT_THRESHOLD failed passwords for one email within the window lock
+// that email for LOCKOUT_MS, whether or not an account exists for it
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_WINDOW_MS = 15 * MINUTE_MS;
+const LOCKOUT_MS = 15 * MINUTE_MS;
+const LOCKOUT_MESSAGE = "Too many failed login attempts for this account.";
+
+const loginKey = (accountType, email) => `${accountType}:${String(email || '').trim().toLowerCase()}`;
+
+// The active lock's { count, resetAt }, or null when logging in is allowed
+const getLoginLockout = (accountType, email) => rateLimitStore.get(`login-lock:${loginKey(accountType, email)}`);
+
+// Counts a failed password; returns the new lock once the threshold is reached
+const recordLoginFailure = async (accountType, email) => {
+    const key = loginKey(accountType, email);
+    const { count } = await rateLimitStore.increment(`login-fail:${key}`, LOCKOUT_WINDOW_MS);
+    if (count < LOCKOUT_THRESHOLD) return null;
+    await rateLimitStore.reset(`login-fail:${key}`);
+    return rateLimitStore.increment(`login-lock:${key}`, LOCKOUT_MS);
+};
+
+const clearLoginFailures = (accountType, email) => rateLimitStore.reset(`login-fail:${loginKey(accountType, email)}`);
+
+// --- Mailer: password reset and verification emails ---
+// A mail transport sends one plain-text message: send({ to, subject, text }) -> Promise.
+// MAIL_TRANSPORT picks it: 'smtp' delivers for real, 'file' writes each message to MAIL_DIR
+// and 'console' (the default) logs it, which is enough to follow the links in development.
+const MAIL_FROM = process.env.MAIL_FROM || 'Teacher Availability <no-reply@localhost>';
+
+const formatMail = ({ to, subject, text }) =>
+    `From: ${MAIL_FROM}\nTo: ${to}\nSubject: ${subject}\nDate: ${new Date().toUTCString()}\n\n${text}\n`;
+
+const createSmtpMailer = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    return { send: ({ to, subject, text }) => transporter.sendMail({ from: MAIL_FROM, to, subject, text }) };
+};
+
+const createFileMailer = (dir) => ({
+    async send(message) {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(path.join(dir, `${Date.now()}-${crypto.randomUUID()}.eml`), formatMail(message));
+    }
+});
+
+const createConsoleMailer = () => ({
+    send: async (message) => console.log(`--- Outgoing mail ---\n${formatMail(message)}`)
+});
+
+const MAIL_TRANSPORTS = {
+    smtp: createSmtpMailer,
+    file: () => createFileMailer(process.env.MAIL_DIR || path.join(__dirname, 'mail')),
+    console: createConsoleMailer
+};
+const mailer = MAIL_TRANSPORTS[process.env.MAIL_TRANSPORT || 'console']();
+
+// --- Account Emails: expiring single-use links for both account types ---
+const MIN_PASSWORD_LENGTH = 8;
+const ACCOUNT_TOKEN_TTL_MS = {
+    password_reset: 60 * 60 * 1000, // 1 hour
+    email_verification: 24 * 60 * 60 * 1000 // 1 day
+};
+// Where each account type signs in; emailed links point back at that app.
+// `tokenClaims` go into access tokens (teacher tokens have never carried a role).
+const ACCOUNT_CONFIG = {
+    teacher: {
+        Model: Teacher,
+        routePrefix: '/api/auth',
+        appUrl: process.env.TEACHER_APP_URL || 'http://localhost:5173',
+        tokenClaims: {},
+        authMiddleware: teacherAuthMiddleware,
+        currentAuth: (req) => req.teacher
+    },
+    student: {
+        Model: Student,
+        routePrefix: '/api/student/auth',
+        appUrl: process.env.STUDENT_APP_URL || 'http://localhost:5173',
+        tokenClaims: { role: 'student' },
+        authMiddleware: studentAuthMiddleware,
+        currentAuth: (req) => req.student
+    }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Any earlier token for the same purpose is dropped, so only the newest link works
+const issueAccountToken = async (accountType, account, purpose) => {
+    await AccountToken.deleteMany({ accountType, account: account._id, purpose });
+    const token = crypto.randomBytes(32).toString('hex');
+    await AccountToken.create({
+        accountType,
+        account: account._id,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ACCOUNT_TOKEN_TTL_MS[purpose])
+    });
+    return token;
+};
+
+// Deleting on lookup makes a token single-use even when two requests race for it
+const consumeAccountToken = (accountType, purpose, token) => {
+    if (typeof token !== 'string' || !token) return null;
+    return AccountToken.findOneAndDelete({ accountType, purpose, tokenHash: hashToken(token), expiresAt: { $gt: new Date() } });
+};
+
+const sendVerificationEmail = async (accountType, account) => {
+    const token = await issueAccountToken(accountType, account, 'email_verification');
+    await mailer.send({
+        to: account.email,
+        subject: "Verify your email address",
+        text: `Hi ${account.name},\n\nPlease confirm that this is your email address by opening the link below. ` +
+            `It expires in 24 hours.\n\n${ACCOUNT_CONFIG[accountType].appUrl}/?verifyToken=${token}\n\n` +
+            `If you didn't create an account, you can ignore this email.`
+    });
+};
+
+const sendPasswordResetEmail = async (accountType, account) => {
+    const token = await issueAccountToken(accountType, account, 'password_reset');
+    await mailer.send({
+        to: account.email,
+        subject: "Reset your password",
+        text: `Hi ${account.name},\n\nYou can choose a new password by opening the link below. ` +
+            `It expires in 1 hour and works once.\n\n${ACCOUNT_CONFIG[accountType].appUrl}/?resetToken=${token}\n\n` +
+            `If you didn't ask for a reset, you can ignore this email; your password hasn't changed.`
+    });
+};
+
+// --- Auth Sessions: short-lived access tokens plus a rotating refresh token per device ---
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Renewed on every refresh, so only idle devices expire
+
+// Account types that sign in with sessions: the two above, plus admins
+const SESSION_ACCOUNT_CONFIG = {
+    ...ACCOUNT_CONFIG,
+    admin: {
+        Model: Admin,
+        routePrefix: '/api/admin/auth',
+        tokenClaims: { role: 'admin' },
+        authMiddleware: adminAuthMiddleware,
+        currentAuth: (req) => req.admin
+    }
+};
+
+const signAccessToken = (accountType, accountId, sessionId) =>
+    jwt.sign({ id: accountId, sid: sessionId, ...SESSION_ACCOUNT_CONFIG[accountType].tokenClaims }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Starts a session on login and returns its { token, refreshToken } pair
+const createAuthSession = async (accountType, account, req) => {
+    const refreshToken = newRefreshToken();
+    const session = await AuthSession.create({
+        accountType,
+        account: account._id,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent: (req.get('user-agent') || '').slice(0, 300),
+        ip: req.ip,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+    return { token: signAccessToken(accountType, account._id, session._id), refreshToken };
+};
+
+// Swaps a refresh token for a new pair. The old refresh token stops working in the same
+// atomic update, so a stolen copy is only good until the device's next refresh.
+const rotateAuthSession = async (accountType, refreshToken, req) => {
+    if (typeof refreshToken !== 'string' || !refreshToken) return null;
+    const nextRefreshToken = newRefreshToken();
+    const session = await AuthSession.findOneAndUpdate(
+        { accountType, refreshTokenHash: hashToken(refreshToken), expiresAt: { $gt: new Date() } },
+        {
+            refreshTokenHash: hashToken(nextRefreshToken),
+            lastUsedAt: new Date(),
+            ip: req.ip,
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+        },
+        { new: true }
+    );
+    if (!session) return null;
+    return { session, token: signAccessToken(accountType, session.account, session._id), refreshToken: nextRefreshToken };
+};
+
+// Ends sessions and drops their live socket connections
+const revokeAuthSessions = async (filter) => {
+    const sessions = await AuthSession.find(filter).select('_id');
+    if (!sessions.length) return;
+    await AuthSession.deleteMany({ _id: { $in: sessions.map(session => session._id) } });
+    sessions.forEach(session => io.in(sessionRoom(session._id)).disconnectSockets(true));
+};
+
+// Shared by both login routes; the code lets the apps offer to resend the link
+const EMAIL_NOT_VERIFIED = { message: "Please verify your email address before logging in.", code: 'EMAIL_NOT_VERIFIED' };
+
 // --- Teacher Auth Routes ---
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', registerLimiter, async (req, res) => {
     try {
         const { name, email, password, phone, roomno } = req.body;
 
         if (!name || !email || !password || !phone || !roomno) {
             return res.status(400).json({ message: "Please provide all required fields." });
         }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+        }
 
         const existingTeacher = await Teacher.findOne({ email });
         if (existingTeacher) {
@@ -105,37 +704,54 @@ app.post('/api/auth/register', async (req, res) => {
         const salt = await bcrypt.genSalt(10);
         const hashedPassword = await bcrypt.hash(password, salt);
 
-        const newTeacher = new Teacher({ name, email, password: hashedPassword , phone, roomno });
+        // Self-registered teachers can't sign in until an admin approves them
+        const newTeacher = new Teacher({ name, email, password: hashedPassword , phone, roomno, accountStatus: 'pending', emailVerified: false });
         await newTeacher.save();
+        // The account exists either way; a failed send can be retried with resend-verification
+        await sendVerificationEmail('teacher', newTeacher).catch(err => console.error("Verification email error:", err));
 
-        res.status(201).json({ message: "Teacher registered successfully." });
+        res.status(201).json({ message: "Teacher registered successfully. Check your email to verify your address; an administrator must also approve your account before you can log in." });
 
     } catch (error) {
         res.status(500).json({ message: "Server error during registration.", error: error.message });
     }
 });
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', loginLimiter, async (req, res) => {
     try {
         const { email, password } = req.body;
-        const teacher = await Teacher.findOne({ email });
-        if (!teacher) {
-            return res.status(400).json({ message: "Invalid credentials." });
-        }
+        const lockout = await getLoginLockout('teacher', email);
+        if (lockout) return sendRateLimited(res, lockout.resetAt, LOCKOUT_MESSAGE);
 
-        const isMatch = await bcrypt.compare(password, teacher.password);
+        const teacher = await Teacher.findOne({ email });
+        // Unknown emails count as failures too, so a lockout says nothing about who is registered
+        const isMatch = teacher && await bcrypt.compare(password, teacher.password);
         if (!isMatch) {
+            const lock = await recordLoginFailure('teacher', email);
+            if (lock) return sendRateLimited(res, lock.resetAt, LOCKOUT_MESSAGE);
             return res.status(400).json({ message: "Invalid credentials." });
         }
+        await clearLoginFailures('teacher', email);
+        if (teacher.emailVerified === false) {
+            return res.status(403).json(EMAIL_NOT_VERIFIED);
+        }
+        if (teacher.accountStatus === 'pending') {
+            return res.status(403).json({ message: "Your account is awaiting administrator approval." });
+        }
+        if (teacher.accountStatus === 'deactivated') {
+            return res.status(403).json({ message: "Your account has been deactivated." });
+        }
 
-        const token = jwt.sign({ id: teacher._id }, JWT_SECRET, { expiresIn: '30d' });
+        const { token, refreshToken } = await createAuthSession('teacher', teacher, req);
 
         res.json({
             token,
+            refreshToken,
             teacher: {
                 id: teacher._id,
                 name: teacher.name,
                 email: teacher.email,
-                isAvailable: teacher.isAvailable
+                isAvailable: teacher.isAvailable,
+                availabilityStatus: statusOf(teacher)
             }
         });
     } catch (error) {
@@ -144,13 +760,16 @@ app.post('/api/auth/login', async (req, res) => {
 });
 
 // --- NEW: Student Auth Routes ---
-app.post('/api/student/auth/register', async (req, res) => {
+app.post('/api/student/auth/register', registerLimiter, async (req, res) => {
     try {
         const { name, email, password } = req.body;
 
         if (!name || !email || !password) {
             return res.status(400).json({ message: "Please provide all required fields for student registration." });
         }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+        }
 
         const existingStudent = await Student.findOne({ email });
         if (existingStudent) {
@@ -160,32 +779,42 @@ app.post('/api/student/auth/register', async (req, res) => {
         const salt = await bcrypt.genSalt(10);
         const hashedPassword = await bcrypt.hash(password, salt);
 
-        const newStudent = new Student({ name, email, password: hashedPassword });
+        const newStudent = new Student({ name, email, password: hashedPassword, emailVerified: false });
         await newStudent.save();
+        await sendVerificationEmail('student', newStudent).catch(err => console.error("Verification email error:", err));
 
-        res.status(201).json({ message: "Student registered successfully." });
+        res.status(201).json({ message: "Student registered successfully. Check your email to verify your address before logging in." });
 
     } catch (error) {
         res.status(500).json({ message: "Server error during student registration.", error: error.message });
     }
 });
-app.post('/api/student/auth/login', async (req, res) => {
+app.post('/api/student/auth/login', loginLimiter, async (req, res) => {
     try {
         const { email, password } = req.body;
-        const student = await Student.findOne({ email });
-        if (!student) {
-            return res.status(400).json({ message: "Invalid credentials." });
-        }
+        const lockout = await getLoginLockout('student', email);
+        if (lockout) return sendRateLimited(res, lockout.resetAt, LOCKOUT_MESSAGE);
 
-        const isMatch = await bcrypt.compare(password, student.password);
+        const student = await Student.findOne({ email });
+        const isMatch = student && await bcrypt.compare(password, student.password);
         if (!isMatch) {
+            const lock = await recordLoginFailure('student', email);
+            if (lock) return sendRateLimited(res, lock.resetAt, LOCKOUT_MESSAGE);
             return res.status(400).json({ message: "Invalid credentials." });
         }
+        await clearLoginFailures('student', email);
+        if (student.emailVerified === false) {
+            return res.status(403).json(EMAIL_NOT_VERIFIED);
+        }
+        if (student.accountStatus === 'deactivated') {
+            return res.status(403).json({ message: "Your account has been deactivated." });
+        }
 
-        const token = jwt.sign({ id: student._id, role: 'student' }, JWT_SECRET, { expiresIn: '30d' });
+        const { token, refreshToken } = await createAuthSession('student', student, req);
 
         res.json({
             token,
+            refreshToken,
             student: {
                 id: student._id,
                 name: student.name,
@@ -197,195 +826,2531 @@ app.post('/api/student/auth/login', async (req, res) => {
     }
 });
 
+// --- Password Reset & Email Verification Routes ---
+// Registered for each account type under its auth prefix, e.g. /api/auth/forgot-password
+// for teachers and /api/student/auth/forgot-password for students.
+Object.entries(ACCOUNT_CONFIG).forEach(([accountType, { Model, routePrefix }]) => {
+    // Both "send me a link" routes answer the same whether or not the email is registered,
+    // so they can't be used to find out who has an account
+    app.post(`${routePrefix}/forgot-password`, accountEmailLimiter, async (req, res) => {
+        try {
+            const { email } = req.body;
+            if (typeof email !== 'string' || !email) {
+                return res.status(400).json({ message: "Please provide your email." });
+            }
+            const account = await Model.findOne({ email, accountStatus: { $ne: 'deactivated' } });
+            if (account) await sendPasswordResetEmail(accountType, account);
+            res.json({ message: "If that email is registered, a reset link is on its way." });
+        } catch (error) {
+            res.status(500).json({ message: "Server error requesting password reset." });
+        }
+    });
+
+    app.post(`${routePrefix}/reset-password`, async (req, res) => {
+        try {
+            const { token, password } = req.body;
+            if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+                return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+            }
+            const record = await consumeAccountToken(accountType, 'password_reset', token);
+            if (!record) return res.status(400).json({ message: "This reset link is invalid or has expired." });
 
-// --- Teacher Routes ---
-app.get('/api/teachers', async (req, res) => {
-    try {
-        const teachers = await Teacher.find().select('-password');
-        res.json(teachers);
-    } catch (error) {
-        res.status(500).json({ message: "Server error fetching teachers.", error: error.message });
-    }
+            const salt = await bcrypt.genSalt(10);
+            // Following the emailed link also proves the address belongs to them
+            const account = await Model.findByIdAndUpdate(record.account, {
+                password: await bcrypt.hash(password, salt),
+                emailVerified: true
+            });
+            if (!account) return res.status(400).json({ message: "This reset link is invalid or has expired." });
+            // Whoever knew the old password is signed out everywhere
+            await revokeAuthSessions({ account: account._id });
+            res.json({ message: "Your password has been reset. You can now log in." });
+        } catch (error) {
+            res.status(500).json({ message: "Server error resetting password." });
+        }
+    });
+
+    app.post(`${routePrefix}/verify-email`, async (req, res) => {
+        try {
+            const record = await consumeAccountToken(accountType, 'email_verification', req.body.token);
+            if (!record) return res.status(400).json({ message: "This verification link is invalid or has expired." });
+
+            const account = await Model.findByIdAndUpdate(record.account, { emailVerified: true });
+            if (!account) return res.status(400).json({ message: "This verification link is invalid or has expired." });
+            res.json({ message: "Your email address is verified. You can now log in." });
+        } catch (error) {
+            res.status(500).json({ message: "Server error verifying email." });
+        }
+    });
+
+    app.post(`${routePrefix}/resend-verification`, accountEmailLimiter, async (req, res) => {
+        try {
+            const { email } = req.body;
+            if (typeof email !== 'string' || !email) {
+                return res.status(400).json({ message: "Please provide your email." });
+            }
+            const account = await Model.findOne({ email, emailVerified: false });
+            if (account) await sendVerificationEmail(accountType, account);
+            res.json({ message: "If that email is waiting for verification, a new link is on its way." });
+        } catch (error) {
+            res.status(500).json({ message: "Server error sending verification email." });
+        }
+    });
 });
-app.put('/api/teachers/status', teacherAuthMiddleware, async (req, res) => {
-    try {
-        const { isAvailable } = req.body;
-        const teacherId = req.teacher.id;
-        const teacher = await Teacher.findById(teacherId);
-        if (!teacher) return res.status(404).json({ message: "Teacher not found." });
 
-        if (teacher.isAvailable && !isAvailable) {
-            if (teacher.lastAvailableTimestamp) {
-                const sessionDuration = (new Date() - new Date(teacher.lastAvailableTimestamp)) / 1000;
-                const today = startOfDay(new Date());
+// --- Session Routes ---
+// Also registered per account type, e.g. /api/auth/refresh, /api/student/auth/refresh and /api/admin/auth/refresh
+Object.entries(SESSION_ACCOUNT_CONFIG).forEach(([accountType, { Model, routePrefix, authMiddleware, currentAuth }]) => {
+    app.post(`${routePrefix}/refresh`, async (req, res) => {
+        try {
+            const rotated = await rotateAuthSession(accountType, req.body.refreshToken, req);
+            if (!rotated) return res.status(401).json(SESSION_ENDED);
 
-                await TimeRecord.findOneAndUpdate(
-                    { teacher: teacherId, date: today },
-                    { $inc: { totalAvailableTime: sessionDuration } },
-                    { upsert: true, new: true }
-                );
+            // An account deactivated since login can't keep its sessions alive
+            if (!(await Model.exists({ _id: rotated.session.account, accountStatus: ACTIVE_ACCOUNT }))) {
+                await revokeAuthSessions({ _id: rotated.session._id });
+                return res.status(403).json({ message: "Account is not active" });
             }
+            res.json({ token: rotated.token, refreshToken: rotated.refreshToken });
+        } catch (error) {
+            res.status(500).json({ message: "Server error refreshing session." });
         }
+    });
 
-        teacher.isAvailable = isAvailable;
-        teacher.lastAvailableTimestamp = isAvailable ? new Date() : null;
-        await teacher.save();
+    // Takes the refresh token rather than the access token, so it works after the latter expires
+    app.post(`${routePrefix}/logout`, async (req, res) => {
+        try {
+            const { refreshToken } = req.body;
+            if (typeof refreshToken === 'string' && refreshToken) {
+                await revokeAuthSessions({ accountType, refreshTokenHash: hashToken(refreshToken) });
+            }
+            res.json({ message: "Logged out." });
+        } catch (error) {
+            res.status(500).json({ message: "Server error logging out." });
+        }
+    });
 
-        const allTeachers = await Teacher.find().select('-password');
-        io.emit('statusUpdate', allTeachers);
+    app.post(`${routePrefix}/logout-all`, authMiddleware, async (req, res) => {
+        try {
+            await revokeAuthSessions({ accountType, account: currentAuth(req).id });
+            res.json({ message: "Logged out of all devices." });
+        } catch (error) {
+            res.status(500).json({ message: "Server error logging out." });
+        }
+    });
 
-        res.json(teacher);
+    app.get(`${routePrefix}/sessions`, authMiddleware, async (req, res) => {
+        try {
+            const { id, sid } = currentAuth(req);
+            const sessions = await AuthSession.find({ accountType, account: id })
+                .select('userAgent ip createdAt lastUsedAt')
+                .sort({ lastUsedAt: -1 })
+                .lean();
+            res.json(sessions.map(session => ({ ...session, current: String(session._id) === sid })));
+        } catch (error) {
+            res.status(500).json({ message: "Server error fetching sessions." });
+        }
+    });
 
-    } catch (error) {
-        console.error(error);
-        res.status(500).json({ message: "Server error updating status.", error: error.message });
-    }
+    app.delete(`${routePrefix}/sessions/:id`, authMiddleware, async (req, res) => {
+        try {
+            if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: "Session not found." });
+            const filter = { _id: req.params.id, accountType, account: currentAuth(req).id };
+            if (!(await AuthSession.exists(filter))) return res.status(404).json({ message: "Session not found." });
+            await revokeAuthSessions(filter);
+            res.json({ message: "Session ended." });
+        } catch (error) {
+            res.status(500).json({ message: "Server error ending session." });
+        }
+    });
 });
 
-app.get('/api/teachers/my-time', teacherAuthMiddleware, async(req, res) => {
-    try {
-        const today = startOfDay(new Date());
-        const record = await TimeRecord.findOne({ teacher: req.teacher.id, date: today });
-        res.json({ totalAvailableTime: record ? record.totalAvailableTime : 0 });
-    } catch (error) {
-        res.status(500).json({ message: "Server error fetching time record."});
-    }
-});
 
-// --- Query Routes ---
-app.post('/api/queries', async (req, res) => {
-    try {
-        const { studentName, queryText, teacherId } = req.body;
-        if (!studentName || !queryText || !teacherId) {
-            return res.status(400).json({ message: "Missing required fields." });
+// --- Schedule Helpers ---
+const SCHEDULE_LOOKAHEAD_DAYS = 14;
+
+// Turns an "HH:mm" string into a Date on the given day
+const atTimeOfDay = (day, time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return set(day, { hours, minutes, seconds: 0, milliseconds: 0 });
+};
+
+// Concrete { start, end } office-hour windows for one calendar day, exceptions applied
+const getSlotsForDay = (schedule, day) => {
+    const dayStart = startOfDay(day);
+    const exceptions = schedule.exceptions.filter(e => startOfDay(e.date).getTime() === dayStart.getTime());
+
+    let slots = schedule.weeklySlots
+        .filter(slot => slot.dayOfWeek === dayStart.getDay())
+        .map(slot => ({ start: atTimeOfDay(dayStart, slot.startTime), end: atTimeOfDay(dayStart, slot.endTime) }));
+
+    exceptions.filter(e => e.type === 'cancelled').forEach(e => {
+        if (!e.startTime || !e.endTime) {
+            slots = [];
+            return;
         }
-        const newQuery = new Query({ studentName, queryText, teacher: teacherId });
-        await newQuery.save();
+        const cancelStart = atTimeOfDay(dayStart, e.startTime);
+        const cancelEnd = atTimeOfDay(dayStart, e.endTime);
+        slots = slots.filter(slot => slot.end <= cancelStart || slot.start >= cancelEnd);
+    });
 
-        io.to(teacherId).emit('newQuery', newQuery);
+    exceptions.filter(e => e.type === 'extra' && e.startTime && e.endTime).forEach(e => {
+        slots.push({ start: atTimeOfDay(dayStart, e.startTime), end: atTimeOfDay(dayStart, e.endTime) });
+    });
 
-        res.status(201).json(newQuery);
-    } catch (error) {
-        res.status(500).json({ message: "Server error creating query.", error: error.message });
-    }
-});
+    return slots.sort((a, b) => a.start - b.start);
+};
 
-app.get('/api/queries/teacher', teacherAuthMiddleware, async (req, res) => {
-    try {
-        const queries = await Query.find({ teacher: req.teacher.id, status: 'pending' }).sort({ createdAt: -1 });
-        res.json(queries);
-    } catch (error) {
-        res.status(500).json({ message: "Server error fetching queries." });
+// The first office-hour window that hasn't finished yet, or null if none is coming up
+const getNextAvailableSlot = (schedule, from = new Date()) => {
+    if (!schedule) return null;
+    for (let i = 0; i < SCHEDULE_LOOKAHEAD_DAYS; i++) {
+        const slot = getSlotsForDay(schedule, addDays(from, i)).find(s => s.end > from);
+        if (slot) return slot;
     }
-});
+    return null;
+};
 
-app.put('/api/queries/:id/end', teacherAuthMiddleware, async (req, res) => {
-    try {
-        const query = await Query.findOneAndUpdate(
-            { _id: req.params.id, teacher: req.teacher.id },
-            { status: 'ended' },
-            { new: true }
-        );
-        if (!query) return res.status(404).json({ message: "Query not found or unauthorized." });
-        
-        io.emit('queryUpdated', query);
-        res.json(query);
-    } catch (error) {
-        res.status(500).json({ message: "Server error ending query." });
+const validateTimeRange = ({ startTime, endTime }) => {
+    if (!TIME_OF_DAY.test(startTime || '') || !TIME_OF_DAY.test(endTime || '')) {
+        return "Times must be in HH:mm format.";
     }
-});
+    if (startTime >= endTime) return "Start time must be before end time.";
+    return null;
+};
 
-app.put('/api/queries/:id/resolve', async (req, res) => {
-    try {
-        const { resolution } = req.body;
-        if (!['satisfied', 'not_satisfied'].includes(resolution)) {
-            return res.status(400).json({ message: "Invalid resolution value." });
-        }
-        const query = await Query.findByIdAndUpdate(req.params.id, { resolution }, { new: true });
-        if (!query) return res.status(404).json({ message: "Query not found." });
-        
-        io.emit('queryUpdated', query);
-        res.json(query);
-    } catch (error) {
-        res.status(500).json({ message: "Server error resolving query." });
+// True if `at` falls inside one of the day's office-hour windows
+const isWithinOfficeHours = (schedule, at = new Date()) =>
+    getSlotsForDay(schedule, at).some(slot => slot.start <= at && at < slot.end);
+
+// The next moment a slot starts or ends, or null if nothing is scheduled in the lookahead
+const getNextScheduleBoundary = (schedule, from = new Date()) => {
+    for (let i = 0; i < SCHEDULE_LOOKAHEAD_DAYS; i++) {
+        const boundaries = getSlotsForDay(schedule, addDays(from, i))
+            .flatMap(slot => [slot.start, slot.end])
+            .filter(boundary => boundary > from)
+            .sort((a, b) => a - b);
+        if (boundaries.length) return boundaries[0];
     }
-});
+    return null;
+};
 
+// What students see of a teacher. Built field by field so new schema fields stay private
+// until they're added here; contact details follow the teacher's privacy settings.
+const CONTACT_FIELDS = ['email', 'phone', 'roomno'];
+const DEFAULT_PRIVACY = { email: true, phone: false, roomno: true };
 
-// --- Daily Report Route ---
-app.get('/api/reports/daily', async (req, res) => {
-    try {
-        const date = req.query.date ? parseISO(req.query.date) : new Date();
-        const reportDateStart = startOfDay(date);
-        const reportDateEnd = endOfDay(date);
-
-        const timeRecords = await TimeRecord.find({
-  date: { $gte: reportDateStart, $lt: reportDateEnd }
-})
-.populate('teacher', 'name email');
-        const queries = await Query.find({ 
-            createdAt: { $gte: reportDateStart, $lt: reportDateEnd } 
-        }).populate('teacher', 'name email').sort({createdAt: 1});
-
-        const workbook = new exceljs.Workbook();
-        workbook.creator = 'Teacher Availability App';
-        workbook.created = new Date();
-
-        const availabilitySheet = workbook.addWorksheet('Teacher Availability');
-        availabilitySheet.columns = [
-            { header: 'Teacher Name', key: 'name', width: 30 },
-            { header: 'Teacher Email', key: 'email', width: 30 },
-            { header: 'Total Available Time (HH:MM:SS)', key: 'time', width: 35 },
-        ];
-        timeRecords.forEach(record => {
-            availabilitySheet.addRow({
-                name: record.teacher.name,
-                email: record.teacher.email,
-                time: new Date(record.totalAvailableTime * 1000).toISOString().substr(11, 8)
-            });
-        });
+const toPublicTeacher = (teacher, nextAvailable) => {
+    const privacy = { ...DEFAULT_PRIVACY, ...teacher.privacy }; // Older records have no settings
+    const publicTeacher = {
+        _id: teacher._id,
+        name: teacher.name,
+        department: teacher.department || '',
+        designation: teacher.designation || '',
+        subjects: teacher.subjects || [],
+        avatar: teacher.avatar?.storageKey ? { updatedAt: teacher.avatar.updatedAt } : null,
+        isAvailable: teacher.isAvailable,
+        availabilityStatus: statusOf(teacher),
+        statusMessage: teacher.statusMessage || '',
+        statusExpiresAt: teacher.statusExpiry?.at || null,
+        nextAvailable
+    };
+    CONTACT_FIELDS.filter(field => privacy[field]).forEach(field => {
+        publicTeacher[field] = teacher[field];
+    });
+    return publicTeacher;
+};
 
-        const querySheet = workbook.addWorksheet('Daily Queries');
-        querySheet.columns = [
-            { header: 'Time', key: 'time', width: 20 },
-            { header: 'Student Name', key: 'student', width: 30 },
-            { header: 'Teacher Name', key: 'teacher', width: 30 },
-            { header: 'Query', key: 'query', width: 50 },
-            { header: 'Resolution', key: 'resolution', width: 20 },
-        ];
-        queries.forEach(q => {
-            querySheet.addRow({
-                time: q.createdAt.toLocaleTimeString('en-US'),
-                student: q.studentName,
-                teacher: q.teacher.name,
-                query: q.queryText,
-                resolution: q.resolution || 'N/A'
-            });
-        });
-        
-        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-        res.setHeader('Content-Disposition', `attachment; filename="DailyReport-${date.toISOString().split('T')[0]}.xlsx"`);
-        await workbook.xlsx.write(res);
-        res.end();
+// Public entries for a page of the directory
+const withNextAvailable = async (teachers) => {
+    const schedules = await Schedule.find({ teacher: { $in: teachers.map(t => t._id) } }).lean();
+    const scheduleByTeacher = new Map(schedules.map(sc => [String(sc.teacher), sc]));
+    return teachers.map(t => toPublicTeacher(t, getNextAvailableSlot(scheduleByTeacher.get(String(t._id)))));
+};
 
-    } catch (error) {
-        console.error("Report generation error:", error);
-        res.status(500).send('Error generating report');
+// Directory changes go out as 'statusUpdate', one teacher at a time, for clients to patch into
+// whatever they're showing. Teachers who are no longer active go out as { _id, isActive: false }.
+const broadcastTeacherUpdate = async (teacherId) => {
+    const [teacher, schedule] = await Promise.all([
+        Teacher.findById(teacherId).lean(),
+        Schedule.findOne({ teacher: teacherId }).lean()
+    ]);
+    if (!teacher || !isActiveAccount(teacher)) {
+        io.emit('statusUpdate', { _id: teacherId, isActive: false });
+        return;
     }
-});
+    io.emit('statusUpdate', { ...toPublicTeacher(teacher, getNextAvailableSlot(schedule)), isActive: true });
+};
 
+// --- Availability Helpers ---
 
-// 8. SOCKET.IO LOGIC
-io.on('connection', (socket) => {
-    console.log('A user connected:', socket.id);
+// Splits [start, end) into per-calendar-day pieces: [{ date, seconds }]
+const splitByDay = (start, end) => {
+    const pieces = [];
+    for (let dayStart = startOfDay(start); dayStart < end; dayStart = addDays(dayStart, 1)) {
+        const from = Math.max(start.getTime(), dayStart.getTime());
+        const to = Math.min(end.getTime(), addDays(dayStart, 1).getTime());
+        if (to > from) pieces.push({ date: dayStart, seconds: (to - from) / 1000 });
+    }
+    return pieces;
+};
 
-    socket.on('joinRoom', (teacherId) => {
-        socket.join(teacherId);
-        console.log(`Teacher with ID ${teacherId} joined their room.`);
+// Seconds of a session that fall inside [from, to); open sessions count up to `now`
+const sessionSecondsWithin = (session, from, to, now = new Date()) => {
+    const end = session.end || now;
+    const overlap = Math.min(end.getTime(), to.getTime()) - Math.max(session.start.getTime(), from.getTime());
+    return Math.max(overlap, 0) / 1000;
+};
+
+// Sessions that overlap [from, to), for one teacher or all of them
+const findSessionsWithin = (from, to, filter = {}) => AvailabilitySession.find({
+    ...filter,
+    start: { $lt: to },
+    $or: [{ end: null }, { end: { $gt: from } }]
+}).sort({ start: 1 });
+
+// Closes the teacher's open session and rolls each day's share into TimeRecord
+const closeAvailabilitySession = async (teacher, end, endSource) => {
+    let session = await AvailabilitySession.findOne({ teacher: teacher._id, end: null }).sort({ start: -1 });
+    if (session) {
+        // A back-dated end (e.g. the last heartbeat) never goes before the session began
+        session.end = new Date(Math.max(end, session.start));
+        session.endSource = endSource;
+        await session.save();
+    } else if (teacher.lastAvailableTimestamp) {
+        // Teachers who went available before sessions existed only have the timestamp
+        session = await AvailabilitySession.create({
+            teacher: teacher._id,
+            start: teacher.lastAvailableTimestamp,
+            end: new Date(Math.max(end, teacher.lastAvailableTimestamp)),
+            source: teacher.availabilitySource || 'manual',
+            endSource
+        });
+    }
+    if (!session) return null;
+
+    await Promise.all(splitByDay(session.start, session.end).map(({ date, seconds }) =>
+        TimeRecord.findOneAndUpdate(
+            { teacher: teacher._id, date },
+            { $inc: { totalAvailableTime: seconds } },
+            { upsert: true, new: true }
+        )
+    ));
+    return session;
+};
+
+const statusOf = (teacher) => teacher.availabilityStatus || (teacher.isAvailable ? 'available' : 'unavailable');
+
+// Every status change (manual pick, scheduler, timeout or expiry) goes through here, so the
+// session log, TimeRecord rollup and 'statusUpdate' broadcast are always the same.
+// `at` back-dates the change, so a timed-out session is only credited up to that moment.
+// `message` and `expiresAt` belong to the new status, so they're cleared unless given again.
+const setTeacherStatus = async (teacher, status, source, { at, message = '', expiresAt } = {}) => {
+    const now = at || new Date();
+    const isAvailable = AVAILABLE_STATUSES.includes(status);
+    const previousStatus = statusOf(teacher);
+    // Only open or close a session when crossing between available and away, so switching
+    // e.g. from "available" to "online only" keeps the same session running
+    if (teacher.isAvailable && !isAvailable) {
+        await closeAvailabilitySession(teacher, now, source);
+        teacher.lastAvailableTimestamp = null;
+    } else if (!teacher.isAvailable && isAvailable) {
+        await AvailabilitySession.create({ teacher: teacher._id, start: now, source });
+        teacher.lastAvailableTimestamp = now;
+    }
+    // A temporary status falls back to what came before it; re-picking the same status keeps
+    // the original fallback, and with nothing to go back to "away" states end as available
+    const revertTo = previousStatus !== status ? previousStatus
+        : teacher.statusExpiry?.revertTo || (isAvailable ? 'unavailable' : 'available');
+    teacher.statusExpiry = expiresAt ? { at: expiresAt, revertTo } : undefined;
+    teacher.isAvailable = isAvailable;
+    teacher.availabilityStatus = status;
+    teacher.statusMessage = message;
+    teacher.availabilitySource = source;
+    await teacher.save();
+
+    await broadcastTeacherUpdate(teacher._id);
+    return teacher;
+};
+
+// --- Availability Scheduler: follows each teacher's office hours unless overridden ---
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+let isSchedulerRunning = false;
+
+const syncScheduledAvailability = async () => {
+    if (isSchedulerRunning) return; // The previous tick is still working
+    isSchedulerRunning = true;
+    try {
+        const now = new Date();
+        const schedules = await Schedule.find();
+
+        for (const schedule of schedules) {
+            // Pending and deactivated teachers keep their schedule for later, but it doesn't run
+            const teacher = await Teacher.findOne({ _id: schedule.teacher, accountStatus: ACTIVE_ACCOUNT });
+            if (!teacher) continue;
+
+            const override = teacher.scheduleOverride;
+            if (override && override.setAt) {
+                if (!override.until || override.until > now) continue;
+                teacher.scheduleOverride = undefined; // Expired at a slot boundary
+            }
+
+            const shouldBeAvailable = isWithinOfficeHours(schedule, now);
+            if (teacher.isAvailable !== shouldBeAvailable) {
+                await setTeacherStatus(teacher, shouldBeAvailable ? 'available' : 'unavailable', 'schedule');
+            } else if (teacher.isModified()) {
+                await teacher.save();
+            }
+        }
+    } catch (error) {
+        console.error("Availability scheduler error:", error);
+    } finally {
+        isSchedulerRunning = false;
+    }
+};
+
+const startAvailabilityScheduler = () => {
+    syncScheduledAvailability();
+    setInterval(syncScheduledAvailability, SCHEDULER_INTERVAL_MS);
+};
+
+// --- Stale Availability Watch: teachers who close the tab while available go offline ---
+// Dashboards send a heartbeat every 30 seconds; after the grace period without one, the
+// teacher is marked unavailable and the session is credited only up to the last heartbeat.
+const AVAILABILITY_GRACE_MS = (Number(process.env.AVAILABILITY_GRACE_MINUTES) || 5) * 60 * 1000;
+const STALE_CHECK_INTERVAL_MS = 60 * 1000;
+
+const recordHeartbeat = (teacherId) =>
+    Teacher.updateOne({ _id: teacherId }, { lastHeartbeatAt: new Date() }).catch(error =>
+        console.error("Heartbeat update error:", error));
+
+const markStaleTeachersUnavailable = async () => {
+    try {
+        const cutoff = new Date(Date.now() - AVAILABILITY_GRACE_MS);
+        const staleTeachers = await Teacher.find({
+            isAvailable: true,
+            $or: [
+                {
+                    // Schedule-driven availability doesn't depend on an open dashboard; the scheduler closes it
+                    availabilitySource: { $ne: 'schedule' },
+                    lastAvailableTimestamp: { $lt: cutoff }, // The grace period also applies to a fresh session
+                    $or: [{ lastHeartbeatAt: { $lt: cutoff } }, { lastHeartbeatAt: null }]
+                },
+                // Accounts that are no longer active go offline straight away, however they got online
+                { accountStatus: { $nin: ACTIVE_ACCOUNT.$in } }
+            ]
+        });
+        for (const teacher of staleTeachers) {
+            if (isActiveAccount(teacher)) {
+                const lastSeen = teacher.lastHeartbeatAt || teacher.lastAvailableTimestamp;
+                await setTeacherStatus(teacher, 'unavailable', 'auto-timeout', { at: lastSeen });
+                console.log(`Teacher ${teacher._id} timed out; availability credited until ${lastSeen.toISOString()}`);
+            } else {
+                await setTeacherStatus(teacher, 'unavailable', 'auto-timeout');
+            }
+        }
+    } catch (error) {
+        console.error("Stale availability check error:", error);
+    }
+};
+
+// Nightly sweep: no session stays open across midnight. Dashboard-driven teachers go
+// unavailable, credited up to their last heartbeat. Schedule-driven teachers keep their status;
+// their session is split at the cutoff so the scheduler still closes it when office hours end.
+const closeSessionsOpenBefore = async (cutoff) => {
+    try {
+        const openSessions = await AvailabilitySession.find({ end: null, start: { $lt: cutoff } }).select('teacher');
+        const teachers = await Teacher.find({ _id: { $in: openSessions.map(session => session.teacher) }, isAvailable: true });
+        for (const teacher of teachers) {
+            if (teacher.availabilitySource === 'schedule') {
+                await closeAvailabilitySession(teacher, cutoff, 'schedule');
+                await AvailabilitySession.create({ teacher: teacher._id, start: cutoff, source: 'schedule' });
+                teacher.lastAvailableTimestamp = cutoff;
+                await teacher.save();
+                continue;
+            }
+            const lastSeen = teacher.lastHeartbeatAt;
+            const end = lastSeen && lastSeen < cutoff ? lastSeen : cutoff;
+            await setTeacherStatus(teacher, 'unavailable', 'auto-timeout', { at: end });
+        }
+        // Sessions whose teacher is already marked unavailable are simply closed at the cutoff
+        const orphaned = await AvailabilitySession.find({ end: null, start: { $lt: cutoff } });
+        for (const session of orphaned) {
+            const teacher = await Teacher.findById(session.teacher);
+            if (teacher) await closeAvailabilitySession(teacher, cutoff, 'auto-timeout');
+            else await AvailabilitySession.updateOne({ _id: session._id }, { end: cutoff, endSource: 'auto-timeout' });
+        }
+    } catch (error) {
+        console.error("Nightly session sweep error:", error);
+    }
+};
+
+const scheduleNightlySweep = () => {
+    const midnight = startOfDay(addDays(new Date(), 1));
+    setTimeout(async () => {
+        await closeSessionsOpenBefore(midnight);
+        scheduleNightlySweep();
+    }, midnight - Date.now());
+};
+
+const startStaleAvailabilityWatch = () => {
+    // Catch up on anything left open while the server was down
+    closeSessionsOpenBefore(startOfDay(new Date())).then(markStaleTeachersUnavailable);
+    setInterval(markStaleTeachersUnavailable, STALE_CHECK_INTERVAL_MS);
+    scheduleNightlySweep();
+};
+
+// --- Status Expiry: temporary statuses ("back in 10 minutes") revert on their own ---
+const STATUS_EXPIRY_CHECK_INTERVAL_MS = 30 * 1000;
+
+const revertExpiredStatuses = async () => {
+    try {
+        const teachers = await Teacher.find({ 'statusExpiry.at': { $lte: new Date() }, accountStatus: ACTIVE_ACCOUNT });
+        for (const teacher of teachers) {
+            const { at, revertTo } = teacher.statusExpiry;
+            // Back-dated to the expiry, so a revert that ran late credits the right amount of time
+            await setTeacherStatus(teacher, revertTo || 'unavailable', 'expiry', { at });
+        }
+    } catch (error) {
+        console.error("Status expiry check error:", error);
+    }
+};
+
+const startStatusExpiryWatch = () => {
+    revertExpiredStatuses();
+    setInterval(revertExpiredStatuses, STATUS_EXPIRY_CHECK_INTERVAL_MS);
+};
+
+// --- File Storage: query attachments and teacher avatars ---
+// A storage backend stores uploaded bytes under an opaque key:
+//   save(buffer, { extension }) -> Promise<key>, createReadStream(key) -> Readable, remove(key) -> Promise
+// Only the local disk backend ships today; others (e.g. object storage) can be registered alongside it.
+const createDiskStorage = (rootDir) => {
+    // Keys are generated here, but never let one walk out of the upload directory
+    const resolve = (key) => path.join(rootDir, path.basename(key));
+    return {
+        async save(buffer, { extension }) {
+            await fs.promises.mkdir(rootDir, { recursive: true });
+            const key = `${crypto.randomUUID()}${extension}`;
+            await fs.promises.writeFile(resolve(key), buffer);
+            return key;
+        },
+        createReadStream: (key) => fs.createReadStream(resolve(key)),
+        remove: (key) => fs.promises.rm(resolve(key), { force: true })
+    };
+};
+
+const FILE_STORAGE_BACKENDS = {
+    disk: () => createDiskStorage(process.env.ATTACHMENT_DIR || path.join(__dirname, 'uploads'))
+};
+const fileStorage = FILE_STORAGE_BACKENDS[process.env.ATTACHMENT_STORAGE || 'disk']();
+
+// Accepted types, checked against the file's leading bytes as well as the declared MIME type
+const FILE_TYPES = {
+    'image/png': { extension: '.png', signature: [0x89, 0x50, 0x4e, 0x47] },
+    'image/jpeg': { extension: '.jpg', signature: [0xff, 0xd8, 0xff] },
+    'image/gif': { extension: '.gif', signature: [0x47, 0x49, 0x46, 0x38] },
+    'image/webp': { extension: '.webp', signature: [0x52, 0x49, 0x46, 0x46] },
+    'application/pdf': { extension: '.pdf', signature: [0x25, 0x50, 0x44, 0x46] }
+};
+const IMAGE_TYPES = Object.keys(FILE_TYPES).filter(type => type.startsWith('image/'));
+
+const hasValidSignature = (file) => FILE_TYPES[file.mimetype].signature.every((byte, i) => file.buffer[i] === byte);
+
+// Parses an optional multipart file field into memory; JSON requests pass straight through.
+// Runs after the auth middleware so anonymous callers can't make us buffer uploads.
+const createUploadMiddleware = ({ field, maxCount, maxBytes, mimeTypes, messages }) => {
+    const parse = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxBytes, files: maxCount },
+        fileFilter: (req, file, cb) => {
+            if (mimeTypes.includes(file.mimetype)) return cb(null, true);
+            cb(Object.assign(new Error('Unsupported file type'), { code: 'UNSUPPORTED_TYPE' }));
+        }
+    }).array(field, maxCount);
+
+    return (req, res, next) => parse(req, res, (err) => {
+        if (!err) return next();
+        if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ message: messages.tooLarge });
+        if (err.code === 'LIMIT_FILE_COUNT') return res.status(400).json({ message: messages.tooMany });
+        if (err.code === 'UNSUPPORTED_TYPE') return res.status(415).json({ message: messages.badType });
+        res.status(400).json({ message: "Invalid upload." });
+    });
+};
+
+const ATTACHMENT_MAX_BYTES = (Number(process.env.ATTACHMENT_MAX_MB) || 5) * 1024 * 1024;
+const ATTACHMENT_MAX_FILES = 3;
+
+const attachmentUpload = createUploadMiddleware({
+    field: 'attachments',
+    maxCount: ATTACHMENT_MAX_FILES,
+    maxBytes: ATTACHMENT_MAX_BYTES,
+    mimeTypes: Object.keys(FILE_TYPES),
+    messages: {
+        tooLarge: `Attachments are limited to ${ATTACHMENT_MAX_BYTES / (1024 * 1024)} MB each.`,
+        tooMany: `At most ${ATTACHMENT_MAX_FILES} attachments are allowed.`,
+        badType: "Only PNG, JPEG, GIF, WebP images and PDF files can be attached."
+    }
+});
+
+// Checks and stores the uploaded files, returning attachment subdocuments (or null if any is invalid)
+const storeAttachments = async (files = []) => {
+    if (!files.every(hasValidSignature)) return null;
+    return Promise.all(files.map(async file => ({
+        storageKey: await fileStorage.save(file.buffer, { extension: FILE_TYPES[file.mimetype].extension }),
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size
+    })));
+};
+
+// Best-effort cleanup when the document the files belonged to was never saved
+const discardAttachments = (attachments) => Promise.all((attachments || []).map(a =>
+    fileStorage.remove(a.storageKey).catch(err => console.error("Attachment cleanup error:", err))
+));
+
+const INVALID_ATTACHMENT_MESSAGE = "An attachment's contents don't match its file type.";
+
+const AVATAR_MAX_BYTES = 2 * 1024 * 1024;
+
+const avatarUpload = createUploadMiddleware({
+    field: 'avatar',
+    maxCount: 1,
+    maxBytes: AVATAR_MAX_BYTES,
+    mimeTypes: IMAGE_TYPES,
+    messages: {
+        tooLarge: `Avatars are limited to ${AVATAR_MAX_BYTES / (1024 * 1024)} MB.`,
+        tooMany: "Upload a single avatar image.",
+        badType: "Avatars must be PNG, JPEG, GIF or WebP images."
+    }
+});
+
+// --- Teacher Routes ---
+const TEACHER_PAGE_SIZE = 20;
+const MAX_TEACHER_PAGE_SIZE = 100;
+const MAX_SUBJECTS = 20;
+const PROFILE_FIELD_MAX_LENGTH = 100;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Directory filters: `q` searches name, department, designation and subjects;
+// `department` and `subject` match exactly; `available=true` keeps teachers who are free now;
+// `ids` (comma-separated) looks up specific teachers, e.g. the ones a student has appointments with
+const buildTeacherDirectoryFilter = ({ q, department, subject, available, ids }) => {
+    const filter = { accountStatus: ACTIVE_ACCOUNT };
+    if (typeof q === 'string' && q.trim()) {
+        const pattern = new RegExp(escapeRegExp(q.trim()), 'i');
+        filter.$or = [{ name: pattern }, { department: pattern }, { designation: pattern }, { subjects: pattern }];
+    }
+    if (typeof department === 'string' && department) filter.department = department;
+    if (typeof subject === 'string' && subject) filter.subjects = subject;
+    if (available === 'true') filter.isAvailable = true;
+    if (typeof ids === 'string' && ids) {
+        filter._id = { $in: ids.split(',').filter(id => mongoose.isValidObjectId(id)).slice(0, MAX_TEACHER_PAGE_SIZE) };
+    }
+    return filter;
+};
+
+// Paginated, searchable teacher directory for signed-in students; available teachers come first
+app.get('/api/teachers', studentAuthMiddleware, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || TEACHER_PAGE_SIZE, 1), MAX_TEACHER_PAGE_SIZE);
+        const filter = buildTeacherDirectoryFilter(req.query);
+
+        const [teachers, total] = await Promise.all([
+            Teacher.find(filter)
+                .sort({ isAvailable: -1, name: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Teacher.countDocuments(filter)
+        ]);
+
+        res.json({
+            teachers: await withNextAvailable(teachers),
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error fetching teachers.", error: error.message });
+    }
+});
+
+// Options for the directory's department and subject filters
+app.get('/api/teachers/filters', studentAuthMiddleware, async (req, res) => {
+    try {
+        const activeFilter = { accountStatus: ACTIVE_ACCOUNT };
+        const [departments, subjects] = await Promise.all([
+            Teacher.distinct('department', activeFilter),
+            Teacher.distinct('subjects', activeFilter)
+        ]);
+        const sorted = (values) => values.filter(Boolean).sort((a, b) => a.localeCompare(b));
+        res.json({ departments: sorted(departments), subjects: sorted(subjects) });
+    } catch (error) {
+        res.status(500).json({ message: "Server error fetching filters." });
+    }
+});
+
+// The signed-in teacher's own record
+app.get('/api/teachers/me', teacherAuthMiddleware, async (req, res) => {
+    try {
+        const teacher = await Teacher.findById(req.teacher.id).select('-password');
+        if (!teacher) return res.status(404).json({ message: "Teacher not found." });
+        res.json(teacher);
+    } catch (error) {
+        res.status(500).json({ message: "Server error fetching profile." });
+    }
+});
+
+// Contact details, directory details and privacy settings; only the fields sent are changed.
+// Subjects may be sent as an array or a comma-separated string.
+app.put('/api/teachers/profile', teacherAuthMiddleware, async (req, res) => {
+    try {
+        const { name, phone, roomno, department, designation, privacy } = req.body;
+        let { subjects } = req.body;
+        const updates = {};
+
+        // Contact details were required at registration, so they can be changed but not cleared
+        for (const [field, value] of Object.entries({ name, phone, roomno })) {
+            if (value === undefined) continue;
+            if (typeof value !== 'string' || !value.trim() || value.trim().length > PROFILE_FIELD_MAX_LENGTH) {
+                return res.status(400).json({ message: `Please provide a valid ${field === 'roomno' ? 'room number' : field}.` });
+            }
+            updates[field] = value.trim();
+        }
+        for (const [field, value] of Object.entries({ department, designation })) {
+            if (value === undefined) continue;
+            if (typeof value !== 'string' || value.trim().length > PROFILE_FIELD_MAX_LENGTH) {
+                return res.status(400).json({ message: `Invalid ${field}.` });
+            }
+            updates[field] = value.trim();
+        }
+        if (subjects !== undefined) {
+            if (typeof subjects === 'string') subjects = subjects.split(',');
+            if (!Array.isArray(subjects) || !subjects.every(sub => typeof sub === 'string')) {
+                return res.status(400).json({ message: "Subjects must be a list of names." });
+            }
+            subjects = [...new Set(subjects.map(sub => sub.trim()).filter(Boolean))];
+            if (subjects.length > MAX_SUBJECTS || subjects.some(sub => sub.length > PROFILE_FIELD_MAX_LENGTH)) {
+                return res.status(400).json({ message: `Up to ${MAX_SUBJECTS} subjects of at most ${PROFILE_FIELD_MAX_LENGTH} characters each.` });
+            }
+            updates.subjects = subjects;
+        }
+        if (privacy !== undefined) {
+            if (!privacy || typeof privacy !== 'object' || Object.entries(privacy).some(([field, visible]) =>
+                !CONTACT_FIELDS.includes(field) || typeof visible !== 'boolean')) {
+                return res.status(400).json({ message: "Privacy settings must be true/false for email, phone and roomno." });
+            }
+            // Dotted paths, so settings that weren't sent keep their current value
+            Object.entries(privacy).forEach(([field, visible]) => { updates[`privacy.${field}`] = visible; });
+        }
+
+        const teacher = await Teacher.findByIdAndUpdate(req.teacher.id, updates, { new: true }).select('-password');
+        if (!teacher) return res.status(404).json({ message: "Teacher not found." });
+
+        await broadcastTeacherUpdate(teacher._id);
+        res.json(teacher);
+    } catch (error) {
+        res.status(500).json({ message: "Server error updating profile." });
+    }
+});
+
+app.put('/api/teachers/password', teacherAuthMiddleware, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        if (typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+            return res.status(400).json({ message: "Please provide your current and new password." });
+        }
+        if (newPassword.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+        }
+
+        const teacher = await Teacher.findById(req.teacher.id);
+        if (!teacher) return res.status(404).json({ message: "Teacher not found." });
+        if (!(await bcrypt.compare(currentPassword, teacher.password))) {
+            return res.status(400).json({ message: "Current password is incorrect." });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        teacher.password = await bcrypt.hash(newPassword, salt);
+        await teacher.save();
+        // Other devices have to sign in again with the new password; this one stays signed in
+        await revokeAuthSessions({ account: teacher._id, _id: { $ne: req.teacher.sid } });
+        res.json({ message: "Password changed." });
+    } catch (error) {
+        res.status(500).json({ message: "Server error changing password." });
+    }
+});
+
+// Replaces the teacher's avatar (multipart field 'avatar')
+app.put('/api/teachers/avatar', teacherAuthMiddleware, avatarUpload, async (req, res) => {
+    let storageKey = null;
+    try {
+        const [file] = req.files || [];
+        if (!file) return res.status(400).json({ message: "Please choose an image." });
+        if (!hasValidSignature(file)) {
+            return res.status(415).json({ message: "The image's contents don't match its file type." });
+        }
+
+        storageKey = await fileStorage.save(file.buffer, { extension: FILE_TYPES[file.mimetype].extension });
+        const previous = await Teacher.findByIdAndUpdate(req.teacher.id, {
+            avatar: { storageKey, mimeType: file.mimetype, updatedAt: new Date() }
+        });
+        if (!previous) {
+            await fileStorage.remove(storageKey);
+            return res.status(404).json({ message: "Teacher not found." });
+        }
+        if (previous.avatar?.storageKey) {
+            fileStorage.remove(previous.avatar.storageKey).catch(err => console.error("Avatar cleanup error:", err));
+        }
+
+        await broadcastTeacherUpdate(req.teacher.id);
+        res.json(await Teacher.findById(req.teacher.id).select('-password'));
+    } catch (error) {
+        if (storageKey) fileStorage.remove(storageKey).catch(() => {});
+        res.status(500).json({ message: "Server error uploading avatar." });
+    }
+});
+
+app.delete('/api/teachers/avatar', teacherAuthMiddleware, async (req, res) => {
+    try {
+        const previous = await Teacher.findByIdAndUpdate(req.teacher.id, { $unset: { avatar: 1 } });
+        if (!previous) return res.status(404).json({ message: "Teacher not found." });
+        if (previous.avatar?.storageKey) {
+            fileStorage.remove(previous.avatar.storageKey).catch(err => console.error("Avatar cleanup error:", err));
+        }
+
+        await broadcastTeacherUpdate(req.teacher.id);
+        res.json(await Teacher.findById(req.teacher.id).select('-password'));
+    } catch (error) {
+        res.status(500).json({ message: "Server error removing avatar." });
+    }
+});
+
+// Avatars are only shown inside the apps, so either app's token is required and the apps fetch them as blobs
+app.get('/api/teachers/:id/avatar', queryParticipantAuthMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: "Avatar not found." });
+        const teacher = await Teacher.findOne({ _id: req.params.id, accountStatus: ACTIVE_ACCOUNT }).select('avatar');
+        if (!teacher?.avatar?.storageKey) return res.status(404).json({ message: "Avatar not found." });
+
+        const stream = fileStorage.createReadStream(teacher.avatar.storageKey);
+        stream.once('error', (error) => {
+            console.error("Avatar read error:", error);
+            if (res.headersSent) return res.destroy(error);
+            res.status(404).json({ message: "Avatar not found." });
+        });
+        res.setHeader('Content-Type', teacher.avatar.mimeType);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('Cache-Control', 'private, max-age=86400');
+        stream.pipe(res);
+    } catch (error) {
+        res.status(500).json({ message: "Server error fetching avatar." });
+    }
+});
+// Sets the teacher's status, with an optional message and an optional time to revert at
+app.put('/api/teachers/status', teacherAuthMiddleware, async (req, res) => {
+    try {
+        const { status, message = '', expiresAt } = req.body;
+        if (!AVAILABILITY_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `status must be one of: ${AVAILABILITY_STATUSES.join(', ')}.` });
+        }
+        if (typeof message !== 'string' || message.trim().length > STATUS_MESSAGE_MAX_LENGTH) {
+            return res.status(400).json({ message: `Status messages are limited to ${STATUS_MESSAGE_MAX_LENGTH} characters.` });
+        }
+        const now = new Date();
+        let expiry;
+        if (expiresAt) {
+            expiry = new Date(expiresAt);
+            if (isNaN(expiry) || expiry <= now) {
+                return res.status(400).json({ message: "expiresAt must be a time in the future." });
+            }
+        }
+        const teacher = await Teacher.findById(req.teacher.id);
+        if (!teacher) return res.status(404).json({ message: "Teacher not found." });
+
+        // A manual pick overrides the office-hours schedule until its next slot boundary
+        const schedule = await Schedule.findOne({ teacher: teacher._id });
+        if (schedule) {
+            const isAvailable = AVAILABLE_STATUSES.includes(status);
+            teacher.scheduleOverride = { isAvailable, setAt: now, until: getNextScheduleBoundary(schedule, now) };
+        }
+        await setTeacherStatus(teacher, status, 'manual', { message: message.trim(), expiresAt: expiry });
+
+        res.json(teacher);
+
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error updating status.", error: error.message });
+    }
+});
+
+// Drops a manual override so the office-hours schedule takes effect again right away
+app.delete('/api/teachers/status/override', teacherAuthMiddleware, async (req, res) => {
+    try {
+        const teacher = await Teacher.findById(req.teacher.id);
+        if (!teacher) return res.status(404).json({ message: "Teacher not found." });
+
+        teacher.scheduleOverride = undefined;
+        const schedule = await Schedule.findOne({ teacher: teacher._id });
+        if (schedule) {
+            await setTeacherStatus(teacher, isWithinOfficeHours(schedule) ? 'available' : 'unavailable', 'schedule');
+        } else {
+            await teacher.save();
+        }
+        res.json(teacher);
+    } catch (error) {
+        res.status(500).json({ message: "Server error clearing override." });
+    }
+});
+
+// Today's closed availability plus the start of the open session (if any), so the
+// dashboard can run the live part of the clock itself
+app.get('/api/teachers/my-time', teacherAuthMiddleware, async(req, res) => {
+    try {
+        const now = new Date();
+        const today = startOfDay(now);
+        const sessions = await findSessionsWithin(today, addDays(today, 1), { teacher: req.teacher.id });
+        const openSession = sessions.find(session => !session.end);
+        const totalAvailableTime = sessions
+            .filter(session => session.end)
+            .reduce((total, session) => total + sessionSecondsWithin(session, today, now), 0);
+
+        res.json({
+            totalAvailableTime,
+            currentSessionStart: openSession ? new Date(Math.max(openSession.start, today)) : null
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error fetching time record."});
+    }
+});
+
+// --- Teacher Stats Routes: the signed-in teacher's own trends over a `from`/`to` range ---
+// Local calendar day key, matching how TimeRecord dates are bucketed
+const toDayKey = (date) => date.toLocaleDateString('en-CA');
+
+const emptyDays = (from, to, fields) => {
+    const days = new Map();
+    for (let day = from; day < to; day = addDays(day, 1)) days.set(toDayKey(day), { date: toDayKey(day), ...fields });
+    return days;
+};
+
+// Available time per day: closed sessions from TimeRecord, plus the open session's share so far
+app.get('/api/teachers/stats/availability', teacherAuthMiddleware, async (req, res) => {
+    try {
+        const range = parseReportRange(req.query);
+        if (range.error) return res.status(400).json({ message: range.error });
+        const { from, to } = range;
+
+        const [records, openSession] = await Promise.all([
+            TimeRecord.find({ teacher: req.teacher.id, date: { $gte: from, $lt: to } }).lean(),
+            AvailabilitySession.findOne({ teacher: req.teacher.id, end: null }).lean()
+        ]);
+
+        const days = emptyDays(from, to, { availableSeconds: 0 });
+        records.forEach(record => {
+            const day = days.get(toDayKey(record.date));
+            if (day) day.availableSeconds += record.totalAvailableTime;
+        });
+        if (openSession) {
+            splitByDay(openSession.start, new Date()).forEach(({ date, seconds }) => {
+                const day = days.get(toDayKey(date));
+                if (day) day.availableSeconds += seconds;
+            });
+        }
+
+        const result = [...days.values()].map(day => ({ ...day, availableSeconds: Math.round(day.availableSeconds) }));
+        res.json({
+            from,
+            to: subDays(to, 1),
+            days: result,
+            totalAvailableSeconds: result.reduce((total, day) => total + day.availableSeconds, 0)
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error fetching availability stats." });
+    }
+});
+
+// Queries per day, how long meetings took to end, and how satisfied students were
+app.get('/api/teachers/stats/queries', teacherAuthMiddleware, async (req, res) => {
+    try {
+        const range = parseReportRange(req.query);
+        if (range.error) return res.status(400).json({ message: range.error });
+        const { from, to } = range;
+
+        const queries = await Query.find({ teacher: req.teacher.id, createdAt: { $gte: from, $lt: to } })
+            .select('status resolution feedback createdAt startedAt endedAt')
+            .lean();
+
+        const days = emptyDays(from, to, { received: 0, handled: 0 });
+        let handledSeconds = 0;
+        let handledCount = 0;
+        queries.forEach(q => {
+            const day = days.get(toDayKey(q.createdAt));
+            if (day) day.received += 1;
+            if (q.status === 'ended' && q.endedAt) {
+                if (day) day.handled += 1;
+                handledSeconds += handlingSeconds(q);
+                handledCount += 1;
+            }
+        });
+
+        // Latest comments, without student names so feedback stays candid
+        const recentComments = queries
+            .filter(q => q.feedback?.comment)
+            .sort((a, b) => b.feedback.submittedAt - a.feedback.submittedAt)
+            .slice(0, 5)
+            .map(q => ({ rating: q.feedback.rating, comment: q.feedback.comment, submittedAt: q.feedback.submittedAt }));
+
+        res.json({
+            from,
+            to: subDays(to, 1),
+            days: [...days.values()],
+            totalReceived: queries.length,
+            totalHandled: handledCount,
+            averageHandlingSeconds: handledCount ? Math.round(handledSeconds / handledCount) : null,
+            ...summarizeFeedback(queries),
+            recentComments
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error fetching query stats." });
+    }
+});
+
+// --- Schedule Routes ---
+app.get('/api/teachers/schedule', teacherAuthMiddleware, async (req, res) => {
+    try {
+        const schedule = await Schedule.findOne({ teacher: req.teacher.id });
+        res.json(schedule || { teacher: req.teacher.id, weeklySlots: [], exceptions: [] });
+    } catch (error) {
+        res.status(500).json({ message: "Server error fetching schedule." });
+    }
+});
+
+// Student view of an active teacher's upcoming office hours
+app.get('/api/teachers/:id/schedule', studentAuthMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: "Teacher not found." });
+        }
+        if (!await Teacher.exists({ _id: req.params.id, accountStatus: ACTIVE_ACCOUNT })) {
+            return res.status(404).json({ message: "Teacher not found." });
+        }
+        const schedule = await Schedule.findOne({ teacher: req.params.id }).lean();
+        res.json({
+            weeklySlots: schedule ? schedule.weeklySlots : [],
+            nextAvailable: getNextAvailableSlot(schedule)
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error fetching schedule." });
+    }
+});
+
+// Replaces the teacher's whole weekly timetable
+app.put('/api/teachers/schedule/slots', teacherAuthMiddleware, async (req, res) => {
+    try {
+        const { weeklySlots } = req.body;
+        if (!Array.isArray(weeklySlots)) {
+            return res.status(400).json({ message: "weeklySlots must be an array." });
+        }
+        for (const slot of weeklySlots) {
+            if (!Number.isInteger(slot.dayOfWeek) || slot.dayOfWeek < 0 || slot.dayOfWeek > 6) {
+                return res.status(400).json({ message: "dayOfWeek must be between 0 (Sunday) and 6 (Saturday)." });
+            }
+            const rangeError = validateTimeRange(slot);
+            if (rangeError) return res.status(400).json({ message: rangeError });
+        }
+
+        const schedule = await Schedule.findOneAndUpdate(
+            { teacher: req.teacher.id },
+            { weeklySlots: weeklySlots.map(({ dayOfWeek, startTime, endTime }) => ({ dayOfWeek, startTime, endTime })) },
+            { upsert: true, new: true, runValidators: true }
+        );
+        await broadcastTeacherUpdate(req.teacher.id); // Next office hours may have moved
+        res.json(schedule);
+    } catch (error) {
+        res.status(500).json({ message: "Server error updating schedule.", error: error.message });
+    }
+});
+
+app.post('/api/teachers/schedule/exceptions', teacherAuthMiddleware, async (req, res) => {
+    try {
+        const { date, type, startTime, endTime, reason } = req.body;
+        const day = date ? parseISO(date) : null;
+        if (!day || !isValid(day)) return res.status(400).json({ message: "A valid date is required." });
+        if (!['cancelled', 'extra'].includes(type)) {
+            return res.status(400).json({ message: "Exception type must be 'cancelled' or 'extra'." });
+        }
+        // A cancellation without times covers the whole day; extra hours always need a window
+        if (type === 'extra' || startTime || endTime) {
+            const rangeError = validateTimeRange({ startTime, endTime });
+            if (rangeError) return res.status(400).json({ message: rangeError });
+        }
+
+        const schedule = await Schedule.findOneAndUpdate(
+            { teacher: req.teacher.id },
+            { $push: { exceptions: { date: startOfDay(day), type, startTime, endTime, reason } } },
+            { upsert: true, new: true, runValidators: true }
+        );
+        await broadcastTeacherUpdate(req.teacher.id);
+        res.status(201).json(schedule);
+    } catch (error) {
+        res.status(500).json({ message: "Server error adding schedule exception.", error: error.message });
+    }
+});
+
+app.delete('/api/teachers/schedule/exceptions/:exceptionId', teacherAuthMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.exceptionId)) {
+            return res.status(404).json({ message: "Exception not found." });
+        }
+        const schedule = await Schedule.findOneAndUpdate(
+            { teacher: req.teacher.id, 'exceptions._id': req.params.exceptionId },
+            { $pull: { exceptions: { _id: req.params.exceptionId } } },
+            { new: true }
+        );
+        if (!schedule) return res.status(404).json({ message: "Exception not found." });
+        await broadcastTeacherUpdate(req.teacher.id);
+        res.json(schedule);
+    } catch (error) {
+        res.status(500).json({ message: "Server error removing schedule exception." });
+    }
+});
+
+// --- Appointment Helpers ---
+const APPOINTMENT_SLOT_MINUTES = Number(process.env.APPOINTMENT_SLOT_MINUTES) || 15;
+// Students may cancel up to this many hours before the start; teachers may cancel any time
+const APPOINTMENT_CANCEL_WINDOW_HOURS = Number(process.env.APPOINTMENT_CANCEL_WINDOW_HOURS) || 2;
+
+// Splits a day's office hours into fixed-length bookable slots
+const getAppointmentSlots = (schedule, day) => {
+    if (!schedule) return [];
+    const slotMs = APPOINTMENT_SLOT_MINUTES * 60 * 1000;
+    return getSlotsForDay(schedule, day).flatMap(window => {
+        const slots = [];
+        for (let t = window.start.getTime(); t + slotMs <= window.end.getTime(); t += slotMs) {
+            slots.push({ start: new Date(t), end: new Date(t + slotMs) });
+        }
+        return slots;
+    });
+};
+
+const emitAppointmentUpdate = (appointment) => {
+    io.to([teacherRoom(appointment.teacher), studentRoom(appointment.student)]).emit('appointmentUpdated', appointment);
+};
+
+// --- Appointment Routes ---
+// Free slots for one day of a teacher's office hours
+app.get('/api/teachers/:id/appointment-slots', studentAuthMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: "Teacher not found." });
+        }
+        const day = req.query.date ? parseISO(req.query.date) : new Date();
+        if (!isValid(day)) return res.status(400).json({ message: "Invalid date." });
+
+        const schedule = await Schedule.findOne({ teacher: req.params.id });
+        const booked = await Appointment.find({
+            teacher: req.params.id,
+            status: 'booked',
+            start: { $gte: startOfDay(day), $lte: endOfDay(day) }
+        }).select('start');
+        const bookedStarts = new Set(booked.map(a => a.start.getTime()));
+        const now = new Date();
+
+        const slots = getAppointmentSlots(schedule, day)
+            .filter(slot => slot.start > now && !bookedStarts.has(slot.start.getTime()));
+        res.json({ slotMinutes: APPOINTMENT_SLOT_MINUTES, slots });
+    } catch (error) {
+        res.status(500).json({ message: "Server error fetching appointment slots." });
+    }
+});
+
+app.post('/api/appointments', studentAuthMiddleware, async (req, res) => {
+    try {
+        const { teacherId, start, topic } = req.body;
+        if (!teacherId || !start) return res.status(400).json({ message: "Missing required fields." });
+        if (!mongoose.isValidObjectId(teacherId) || !(await Teacher.exists({ _id: teacherId, accountStatus: ACTIVE_ACCOUNT }))) {
+            return res.status(404).json({ message: "Teacher not found." });
+        }
+        const startDate = parseISO(start);
+        if (!isValid(startDate)) return res.status(400).json({ message: "Invalid start time." });
+        if (startDate <= new Date()) return res.status(400).json({ message: "Appointments must be in the future." });
+
+        // The requested start must line up with one of the teacher's generated slots
+        const schedule = await Schedule.findOne({ teacher: teacherId });
+        const slot = getAppointmentSlots(schedule, startDate).find(s => s.start.getTime() === startDate.getTime());
+        if (!slot) return res.status(400).json({ message: "That time is not within the teacher's office hours." });
+
+        const student = await Student.findById(req.student.id).select('name');
+        if (!student) return res.status(404).json({ message: "Student not found." });
+        if (await Appointment.exists({ student: student._id, status: 'booked', start: { $lt: slot.end }, end: { $gt: slot.start } })) {
+            return res.status(409).json({ message: "You already have an appointment at that time." });
+        }
+
+        const appointment = await Appointment.create({
+            teacher: teacherId,
+            student: student._id,
+            studentName: student.name,
+            start: slot.start,
+            end: slot.end,
+            topic
+        });
+        emitAppointmentUpdate(appointment);
+        res.status(201).json(appointment);
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: "That slot has just been booked by someone else." });
+        }
+        res.status(500).json({ message: "Server error booking appointment.", error: error.message });
+    }
+});
+
+// Upcoming booked appointments for the logged-in student
+app.get('/api/student/appointments', studentAuthMiddleware, async (req, res) => {
+    try {
+        const appointments = await Appointment.find({
+            student: req.student.id,
+            status: 'booked',
+            end: { $gte: new Date() }
+        }).sort({ start: 1 });
+        res.json({ cancelWindowHours: APPOINTMENT_CANCEL_WINDOW_HOURS, appointments });
+    } catch (error) {
+        res.status(500).json({ message: "Server error fetching appointments." });
+    }
+});
+
+// The teacher's agenda for one day
+app.get('/api/appointments/teacher', teacherAuthMiddleware, async (req, res) => {
+    try {
+        const day = req.query.date ? parseISO(req.query.date) : new Date();
+        if (!isValid(day)) return res.status(400).json({ message: "Invalid date." });
+        const appointments = await Appointment.find({
+            teacher: req.teacher.id,
+            start: { $gte: startOfDay(day), $lte: endOfDay(day) }
+        }).sort({ start: 1 });
+        res.json(appointments);
+    } catch (error) {
+        res.status(500).json({ message: "Server error fetching agenda." });
+    }
+});
+
+app.delete('/api/appointments/:id', studentAuthMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: "Appointment not found or unauthorized." });
+        }
+        const appointment = await Appointment.findOne({ _id: req.params.id, student: req.student.id, status: 'booked' });
+        if (!appointment) return res.status(404).json({ message: "Appointment not found or unauthorized." });
+
+        const cancelDeadline = appointment.start.getTime() - APPOINTMENT_CANCEL_WINDOW_HOURS * 60 * 60 * 1000;
+        if (Date.now() > cancelDeadline) {
+            return res.status(409).json({
+                message: `Appointments can only be cancelled up to ${APPOINTMENT_CANCEL_WINDOW_HOURS} hours in advance.`
+            });
+        }
+
+        appointment.status = 'cancelled';
+        appointment.cancelledAt = new Date();
+        appointment.cancelledBy = 'student';
+        await appointment.save();
+
+        emitAppointmentUpdate(appointment);
+        res.json(appointment);
+    } catch (error) {
+        res.status(500).json({ message: "Server error cancelling appointment." });
+    }
+});
+
+app.put('/api/appointments/:id/cancel', teacherAuthMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: "Appointment not found or unauthorized." });
+        }
+        const appointment = await Appointment.findOneAndUpdate(
+            { _id: req.params.id, teacher: req.teacher.id, status: 'booked' },
+            { status: 'cancelled', cancelledAt: new Date(), cancelledBy: 'teacher' },
+            { new: true }
+        );
+        if (!appointment) return res.status(404).json({ message: "Appointment not found or unauthorized." });
+
+        emitAppointmentUpdate(appointment);
+        res.json(appointment);
+    } catch (error) {
+        res.status(500).json({ message: "Server error cancelling appointment." });
+    }
+});
+
+// --- Queue Helpers ---
+const QUEUE_HISTORY_SAMPLE = 20; // Recent ended queries used to estimate handling time
+const NO_SHOW_TIMEOUT_MS = (Number(process.env.NO_SHOW_TIMEOUT_MINUTES) || 5) * 60 * 1000;
+
+// Allowed source states for each target state, and the field that timestamps it
+const QUERY_TRANSITIONS = {
+    called: ['pending'],
+    in_session: ['called'],
+    ended: ['pending', 'called', 'in_session'],
+    no_show: ['called'],
+    cancelled: ['pending']
+};
+const QUERY_TIMESTAMPS = {
+    called: 'calledAt',
+    in_session: 'startedAt',
+    ended: 'endedAt',
+    no_show: 'noShowAt',
+    cancelled: 'cancelledAt'
+};
+const ACTIVE_STATUSES = ['called', 'in_session'];
+
+// Atomically moves a matching query into `status` if its current state allows it.
+// Resolves to null when no query matches or the transition is not allowed.
+const transitionQuery = async (filter, status, options = {}) => {
+    const query = await Query.findOneAndUpdate(
+        { ...filter, status: { $in: QUERY_TRANSITIONS[status] } },
+        { status, [QUERY_TIMESTAMPS[status]]: new Date() },
+        { new: true, ...options }
+    );
+    if (query && status !== 'called') clearNoShowTimer(query._id);
+    return query;
+};
+
+// --- No-show timers: a called student who doesn't turn up is skipped automatically ---
+const noShowTimers = new Map(); // query id -> timeout handle
+
+const clearNoShowTimer = (queryId) => {
+    const key = String(queryId);
+    clearTimeout(noShowTimers.get(key));
+    noShowTimers.delete(key);
+};
+
+const scheduleNoShow = (query, delay = NO_SHOW_TIMEOUT_MS) => {
+    clearNoShowTimer(query._id);
+    noShowTimers.set(String(query._id), setTimeout(async () => {
+        noShowTimers.delete(String(query._id));
+        try {
+            const missed = await transitionQuery({ _id: query._id }, 'no_show');
+            if (!missed) return; // Started, ended or cancelled in the meantime
+            emitQueryUpdate(missed);
+            await advanceQueueAfterNoShow(missed.teacher);
+        } catch (error) {
+            console.error("No-show timeout error:", error);
+        }
+    }, Math.max(delay, 0)));
+};
+
+// Timers live in memory, so re-arm them for queries that were called before a restart
+const restoreNoShowTimers = async () => {
+    try {
+        const called = await Query.find({ status: 'called' });
+        called.forEach(q => scheduleNoShow(q, q.calledAt - Date.now() + NO_SHOW_TIMEOUT_MS));
+    } catch (error) {
+        console.error("Could not restore no-show timers:", error);
+    }
+};
+
+// Calls for one teacher run one after another, so two quick "call next" clicks (or a click
+// racing a no-show timeout) can't both find the teacher free and call two students
+const callLocks = new Map(); // teacher id -> promise of the latest queued call
+
+const withCallLock = (teacherId, task) => {
+    const key = String(teacherId);
+    const run = (callLocks.get(key) || Promise.resolve()).then(task);
+    const settled = run.catch(() => {});
+    callLocks.set(key, settled);
+    settled.then(() => {
+        if (callLocks.get(key) === settled) callLocks.delete(key);
+    });
+    return run;
+};
+
+// Calls the oldest pending student. Resolves to { query } on success, { busy: true }
+// when the teacher is still with someone, or { query: null } when the queue is empty.
+// With onlyIfAvailable, a teacher who has gone unavailable also resolves to { query: null };
+// the check runs inside the lock so it can't race a status change mid-call.
+const callNextStudent = (teacherId, { onlyIfAvailable = false } = {}) => withCallLock(teacherId, async () => {
+    if (onlyIfAvailable && !(await Teacher.exists({ _id: teacherId, isAvailable: true }))) {
+        return { query: null };
+    }
+    if (await Query.exists({ teacher: teacherId, status: { $in: ACTIVE_STATUSES } })) {
+        return { busy: true };
+    }
+    const query = await transitionQuery({ teacher: teacherId }, 'called', { sort: { createdAt: 1 } });
+    if (!query) return { query: null };
+
+    scheduleNoShow(query);
+    emitQueryUpdate(query);
+    await broadcastQueue(teacherId);
+    return { query };
+});
+
+// A no-show, whether timed out or marked by the teacher, moves on to the next student
+// while the teacher is available; otherwise the queue just gets its updated estimates
+const advanceQueueAfterNoShow = async (teacherId) => {
+    const { query } = await callNextStudent(teacherId, { onlyIfAvailable: true });
+    if (!query) await broadcastQueue(teacherId);
+};
+
+// Average seconds between creation and end over the teacher's most recent ended queries
+const getAverageHandlingSeconds = async (teacherId) => {
+    const [stats] = await Query.aggregate([
+        { $match: { teacher: new mongoose.Types.ObjectId(String(teacherId)), status: 'ended', endedAt: { $ne: null } } },
+        { $sort: { endedAt: -1 } },
+        { $limit: QUEUE_HISTORY_SAMPLE },
+        { $group: { _id: null, avgMs: { $avg: { $subtract: ['$endedAt', '$createdAt'] } } } }
+    ]);
+    return stats ? Math.round(stats.avgMs / 1000) : null;
+};
+
+// Position and estimated wait for every pending query in a teacher's queue
+const buildQueueSnapshot = async (teacherId) => {
+    const [pending, averageHandlingSeconds, isBusy] = await Promise.all([
+        Query.find({ teacher: teacherId, status: 'pending' }).sort({ createdAt: 1 }).select('student'),
+        getAverageHandlingSeconds(teacherId),
+        Query.exists({ teacher: teacherId, status: { $in: ACTIVE_STATUSES } })
+    ]);
+    // The student being called or served counts as one more slot ahead of everyone waiting
+    const slotsAhead = isBusy ? 1 : 0;
+    return pending.map((q, index) => ({
+        queryId: q._id,
+        teacherId: String(teacherId),
+        student: q.student,
+        position: index + 1,
+        queueLength: pending.length,
+        // null until the teacher has ended at least one query to learn from
+        estimatedWaitSeconds: averageHandlingSeconds === null ? null : averageHandlingSeconds * (index + slotsAhead)
+    }));
+};
+
+// Push every waiting student their fresh position whenever the queue moves
+const broadcastQueue = async (teacherId) => {
+    try {
+        const snapshot = await buildQueueSnapshot(teacherId);
+        snapshot.forEach(({ student, ...entry }) => {
+            if (student) io.to(studentRoom(student)).emit('queuePosition', entry);
+        });
+    } catch (error) {
+        // The query change itself already succeeded; a missed push is corrected on the next one
+        console.error("Queue broadcast error:", error);
+    }
+};
+
+// --- Query Routes ---
+app.post('/api/queries', studentAuthMiddleware, queryLimiter, attachmentUpload, async (req, res) => {
+    let attachments = [];
+    try {
+        const { queryText, teacherId } = req.body;
+        if (!queryText || !teacherId) {
+            return res.status(400).json({ message: "Missing required fields." });
+        }
+        if (!mongoose.isValidObjectId(teacherId) || !(await Teacher.exists({ _id: teacherId, accountStatus: ACTIVE_ACCOUNT }))) {
+            return res.status(404).json({ message: "Teacher not found." });
+        }
+        // The student's identity comes from the token, never from the request body
+        const student = await Student.findById(req.student.id).select('name');
+        if (!student) return res.status(404).json({ message: "Student not found." });
+
+        attachments = await storeAttachments(req.files);
+        if (!attachments) return res.status(415).json({ message: INVALID_ATTACHMENT_MESSAGE });
+
+        const newQuery = new Query({ student: student._id, studentName: student.name, queryText, teacher: teacherId, attachments });
+        await newQuery.save();
+
+        io.to(teacherRoom(teacherId)).emit('newQuery', newQuery);
+        await broadcastQueue(teacherId);
+
+        res.status(201).json(newQuery);
+    } catch (error) {
+        await discardAttachments(attachments);
+        res.status(500).json({ message: "Server error creating query.", error: error.message });
+    }
+});
+
+app.get('/api/queries/teacher', teacherAuthMiddleware, async (req, res) => {
+    try {
+        // First in, first out: the oldest waiting query is at the head of the queue.
+        // The student currently called or in session is included so the dashboard can show them.
+        const queries = await Query.find({
+            teacher: req.teacher.id,
+            status: { $in: ['pending', ...ACTIVE_STATUSES] }
+        }).sort({ createdAt: 1 });
+        res.json(queries);
+    } catch (error) {
+        res.status(500).json({ message: "Server error fetching queries." });
+    }
+});
+
+// Current queue position for each of the logged-in student's pending queries
+app.get('/api/student/queue', studentAuthMiddleware, async (req, res) => {
+    try {
+        const teacherIds = await Query.distinct('teacher', { student: req.student.id, status: 'pending' });
+        const snapshots = await Promise.all(teacherIds.map(buildQueueSnapshot));
+        const positions = snapshots.flat()
+            .filter(entry => entry.student && String(entry.student) === req.student.id)
+            .map(({ student, ...entry }) => entry);
+        res.json(positions);
+    } catch (error) {
+        res.status(500).json({ message: "Server error fetching queue positions." });
+    }
+});
+
+// Paginated query history for the logged-in student, newest first.
+// Optional `status` filter accepts a comma-separated list (e.g. "pending,ended").
+app.get('/api/student/queries', studentAuthMiddleware, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+        const filter = { student: req.student.id };
+        if (req.query.status) {
+            const statuses = req.query.status.split(',').map(s => s.trim()).filter(Boolean);
+            const validStatuses = Query.schema.path('status').enumValues;
+            if (statuses.some(s => !validStatuses.includes(s))) {
+                return res.status(400).json({ message: "Invalid status filter." });
+            }
+            filter.status = { $in: statuses };
+        }
+
+        // `before` (a query id) pages by cursor instead: only queries older than that one, so
+        // queries added since the first page don't shift later pages. Counts then cover what's left.
+        const { before } = req.query;
+        if (before) {
+            const cursor = mongoose.isValidObjectId(before)
+                && await Query.findOne({ _id: before, student: req.student.id }).select('createdAt');
+            if (!cursor) return res.status(400).json({ message: "Invalid before cursor." });
+            filter.$or = [
+                { createdAt: { $lt: cursor.createdAt } },
+                { createdAt: cursor.createdAt, _id: { $lt: cursor._id } }
+            ];
+        }
+
+        const [queries, total] = await Promise.all([
+            Query.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(before ? 0 : (page - 1) * limit)
+                .limit(limit),
+            Query.countDocuments(filter)
+        ]);
+
+        res.json({ queries, page, limit, total, totalPages: Math.ceil(total / limit) });
+    } catch (error) {
+        res.status(500).json({ message: "Server error fetching student queries." });
+    }
+});
+
+app.post('/api/queries/teacher/call-next', teacherAuthMiddleware, async (req, res) => {
+    try {
+        const { query, busy } = await callNextStudent(req.teacher.id);
+        if (busy) {
+            return res.status(409).json({ message: "Finish with the current student before calling the next one." });
+        }
+        if (!query) return res.status(404).json({ message: "No students are waiting." });
+        res.json(query);
+    } catch (error) {
+        res.status(500).json({ message: "Server error calling next student." });
+    }
+});
+
+// Shared handler for the teacher-driven transitions (start, end, no-show)
+const applyTeacherTransition = async (req, res, status) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Query not found or unauthorized." });
+    }
+    const filter = { _id: req.params.id, teacher: req.teacher.id };
+    const query = await transitionQuery(filter, status);
+    if (!query) {
+        const existing = await Query.findOne(filter).select('status');
+        if (!existing) return res.status(404).json({ message: "Query not found or unauthorized." });
+        return res.status(409).json({ message: `Cannot move a ${existing.status} query to ${status}.` });
+    }
+
+    emitQueryUpdate(query);
+    if (status === 'no_show') await advanceQueueAfterNoShow(query.teacher);
+    else await broadcastQueue(query.teacher);
+    res.json(query);
+};
+
+app.put('/api/queries/:id/start', teacherAuthMiddleware, async (req, res) => {
+    try {
+        await applyTeacherTransition(req, res, 'in_session');
+    } catch (error) {
+        res.status(500).json({ message: "Server error starting session." });
+    }
+});
+
+app.put('/api/queries/:id/end', teacherAuthMiddleware, async (req, res) => {
+    try {
+        await applyTeacherTransition(req, res, 'ended');
+    } catch (error) {
+        res.status(500).json({ message: "Server error ending query." });
+    }
+});
+
+app.put('/api/queries/:id/no-show', teacherAuthMiddleware, async (req, res) => {
+    try {
+        await applyTeacherTransition(req, res, 'no_show');
+    } catch (error) {
+        res.status(500).json({ message: "Server error marking no-show." });
+    }
+});
+
+// --- Student edits/cancellation: only the owner, and only while the query is still waiting ---
+app.put('/api/queries/:id', studentAuthMiddleware, async (req, res) => {
+    try {
+        const { queryText } = req.body;
+        if (!queryText || !queryText.trim()) {
+            return res.status(400).json({ message: "Query text is required." });
+        }
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: "Query not found or unauthorized." });
+        }
+        const filter = { _id: req.params.id, student: req.student.id };
+        const query = await Query.findOneAndUpdate(
+            { ...filter, status: 'pending' },
+            { queryText: queryText.trim() },
+            { new: true }
+        );
+        if (!query) {
+            if (!(await Query.exists(filter))) return res.status(404).json({ message: "Query not found or unauthorized." });
+            return res.status(409).json({ message: "Only pending queries can be edited." });
+        }
+
+        emitQueryUpdate(query);
+        res.json(query);
+    } catch (error) {
+        res.status(500).json({ message: "Server error updating query." });
+    }
+});
+
+// Cancelling keeps the document for history; it just leaves the teacher's queue
+app.delete('/api/queries/:id', studentAuthMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: "Query not found or unauthorized." });
+        }
+        const filter = { _id: req.params.id, student: req.student.id };
+        const query = await transitionQuery(filter, 'cancelled');
+        if (!query) {
+            if (!(await Query.exists(filter))) return res.status(404).json({ message: "Query not found or unauthorized." });
+            return res.status(409).json({ message: "Only pending queries can be cancelled." });
+        }
+
+        emitQueryUpdate(query);
+        await broadcastQueue(query.teacher);
+        res.json(query);
+    } catch (error) {
+        res.status(500).json({ message: "Server error cancelling query." });
+    }
+});
+
+// Students rate a finished session 1-5, optionally with a comment and tags; resubmitting replaces it
+app.put('/api/queries/:id/feedback', studentAuthMiddleware, async (req, res) => {
+    try {
+        const { rating, comment = '', tags = [] } = req.body;
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return res.status(400).json({ message: "Rating must be a whole number from 1 to 5." });
+        }
+        if (typeof comment !== 'string' || comment.length > FEEDBACK_COMMENT_MAX_LENGTH) {
+            return res.status(400).json({ message: `Comments are limited to ${FEEDBACK_COMMENT_MAX_LENGTH} characters.` });
+        }
+        if (!Array.isArray(tags) || !tags.every(tag => FEEDBACK_TAGS.includes(tag))) {
+            return res.status(400).json({ message: "Invalid feedback tag." });
+        }
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: "Query not found or unauthorized." });
+        }
+        const query = await Query.findOne({ _id: req.params.id, student: req.student.id });
+        if (!query) return res.status(404).json({ message: "Query not found or unauthorized." });
+        if (query.status !== 'ended') {
+            return res.status(400).json({ message: "Only ended queries can be rated." });
+        }
+
+        query.feedback = { rating, comment, tags: [...new Set(tags)], submittedAt: new Date() };
+        await query.save();
+
+        emitQueryUpdate(query);
+        res.json(query);
+    } catch (error) {
+        res.status(500).json({ message: "Server error saving feedback." });
+    }
+});
+
+
+// --- Query Message Routes: the student and teacher on a query can talk it through ---
+// The query, if the caller is its student or its teacher
+const findParticipantQuery = (req) => {
+    if (!mongoose.isValidObjectId(req.params.id)) return null;
+    const filter = req.student
+        ? { _id: req.params.id, student: req.student.id }
+        : { _id: req.params.id, teacher: req.teacher.id };
+    return Query.findOne(filter);
+};
+
+app.get('/api/queries/:id/messages', queryParticipantAuthMiddleware, async (req, res) => {
+    try {
+        const query = await findParticipantQuery(req);
+        if (!query) return res.status(404).json({ message: "Query not found or unauthorized." });
+        const messages = await QueryMessage.find({ query: query._id }).sort({ createdAt: 1 });
+        res.json(messages);
+    } catch (error) {
+        res.status(500).json({ message: "Server error fetching messages." });
+    }
+});
+
+app.post('/api/queries/:id/messages', queryParticipantAuthMiddleware, attachmentUpload, async (req, res) => {
+    let attachments = [];
+    try {
+        const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+        if (!text && !req.files?.length) {
+            return res.status(400).json({ message: "Message text or an attachment is required." });
+        }
+        if (text.length > QUERY_MESSAGE_MAX_LENGTH) {
+            return res.status(400).json({ message: `Messages are limited to ${QUERY_MESSAGE_MAX_LENGTH} characters.` });
+        }
+
+        const query = await findParticipantQuery(req);
+        if (!query) return res.status(404).json({ message: "Query not found or unauthorized." });
+        if (query.status === 'cancelled') {
+            return res.status(409).json({ message: "This query was withdrawn." });
+        }
+
+        attachments = await storeAttachments(req.files);
+        if (!attachments) return res.status(415).json({ message: INVALID_ATTACHMENT_MESSAGE });
+
+        const isStudent = Boolean(req.student);
+        const sender = isStudent
+            ? await Student.findById(req.student.id).select('name')
+            : await Teacher.findById(req.teacher.id).select('name');
+        const message = await QueryMessage.create({
+            query: query._id,
+            senderRole: isStudent ? 'student' : 'teacher',
+            sender: sender._id,
+            senderName: sender.name,
+            text,
+            attachments
+        });
+
+        emitQueryMessage(query, message);
+        res.status(201).json(message);
+    } catch (error) {
+        await discardAttachments(attachments);
+        res.status(500).json({ message: "Server error sending message." });
+    }
+});
+
+// Streams an attachment from the query itself or any message on it, to the query's student or teacher only
+app.get('/api/queries/:id/attachments/:attachmentId', queryParticipantAuthMiddleware, async (req, res) => {
+    try {
+        const query = await findParticipantQuery(req);
+        if (!query || !mongoose.isValidObjectId(req.params.attachmentId)) {
+            return res.status(404).json({ message: "Attachment not found." });
+        }
+        let attachment = query.attachments.id(req.params.attachmentId);
+        if (!attachment) {
+            const message = await QueryMessage.findOne({ query: query._id, 'attachments._id': req.params.attachmentId });
+            attachment = message?.attachments.id(req.params.attachmentId);
+        }
+        if (!attachment) return res.status(404).json({ message: "Attachment not found." });
+
+        const stream = fileStorage.createReadStream(attachment.storageKey);
+        stream.once('error', (error) => {
+            console.error("Attachment read error:", error);
+            if (res.headersSent) return res.destroy(error);
+            res.removeHeader('Content-Disposition');
+            res.status(404).json({ message: "Attachment not found." });
+        });
+        res.setHeader('Content-Type', attachment.mimeType);
+        res.setHeader('Content-Length', attachment.size);
+        // Uploads are only ever shown as themselves, never sniffed into something executable
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('Cache-Control', 'private, max-age=3600');
+        res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`);
+        stream.pipe(res);
+    } catch (error) {
+        res.status(500).json({ message: "Server error fetching attachment." });
+    }
+});
+
+
+// --- Admin Routes ---
+// The first admin comes from ADMIN_EMAIL / ADMIN_PASSWORD; nobody can sign up as one
+const seedAdminAccount = async () => {
+    const { ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_NAME } = process.env;
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return;
+    try {
+        if (await Admin.exists({ email: ADMIN_EMAIL })) return;
+        const hashedPassword = await bcrypt.hash(ADMIN_PASSWORD, await bcrypt.genSalt(10));
+        await Admin.create({ name: ADMIN_NAME || 'Administrator', email: ADMIN_EMAIL, password: hashedPassword });
+        console.log(`Admin account created for ${ADMIN_EMAIL}.`);
+    } catch (error) {
+        console.error("Could not seed admin account:", error);
+    }
+};
+
+// Readable one-off password handed to the admin after a reset
+const generateTemporaryPassword = () => crypto.randomBytes(9).toString('base64url');
+
+app.post('/api/admin/auth/login', loginLimiter, async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        const lockout = await getLoginLockout('admin', email);
+        if (lockout) return sendRateLimited(res, lockout.resetAt, LOCKOUT_MESSAGE);
+
+        const admin = await Admin.findOne({ email });
+        const isMatch = admin && await bcrypt.compare(password, admin.password);
+        if (!isMatch) {
+            const lock = await recordLoginFailure('admin', email);
+            if (lock) return sendRateLimited(res, lock.resetAt, LOCKOUT_MESSAGE);
+            return res.status(400).json({ message: "Invalid credentials." });
+        }
+        await clearLoginFailures('admin', email);
+
+        const { token, refreshToken } = await createAuthSession('admin', admin, req);
+
+        res.json({
+            token,
+            refreshToken,
+            admin: {
+                id: admin._id,
+                name: admin.name,
+                email: admin.email,
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error during admin login.", error: error.message });
+    }
+});
+
+// Optional `status` filter: pending, active or deactivated
+app.get('/api/admin/teachers', adminAuthMiddleware, async (req, res) => {
+    try {
+        const { status } = req.query;
+        const filter = !status ? {} : status === 'active' ? { accountStatus: ACTIVE_ACCOUNT } : { accountStatus: status };
+        const teachers = await Teacher.find(filter).select('-password').sort({ name: 1 });
+        res.json(teachers);
+    } catch (error) {
+        res.status(500).json({ message: "Server error fetching teachers." });
+    }
+});
+
+// Approve (active) or deactivate a teacher account
+app.put('/api/admin/teachers/:id/status', adminAuthMiddleware, async (req, res) => {
+    try {
+        const { accountStatus } = req.body;
+        if (!['active', 'deactivated'].includes(accountStatus)) {
+            return res.status(400).json({ message: "accountStatus must be 'active' or 'deactivated'." });
+        }
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: "Teacher not found." });
+        const teacher = await Teacher.findById(req.params.id);
+        if (!teacher) return res.status(404).json({ message: "Teacher not found." });
+
+        teacher.accountStatus = accountStatus;
+        if (accountStatus === 'deactivated') {
+            // Their schedule is kept for a later reactivation; the scheduler skips it meanwhile
+            teacher.scheduleOverride = undefined;
+            // Closes the open session, drops any pending status revert and broadcasts the removal
+            await setTeacherStatus(teacher, 'unavailable', 'manual');
+        } else {
+            await teacher.save();
+            await broadcastTeacherUpdate(teacher._id);
+        }
+        if (accountStatus === 'deactivated') await revokeAuthSessions({ account: teacher._id });
+
+        const { password, ...safeTeacher } = teacher.toObject();
+        res.json(safeTeacher);
+    } catch (error) {
+        res.status(500).json({ message: "Server error updating teacher account." });
+    }
+});
+
+app.get('/api/admin/students', adminAuthMiddleware, async (req, res) => {
+    try {
+        const students = await Student.find().select('-password').sort({ name: 1 });
+        res.json(students);
+    } catch (error) {
+        res.status(500).json({ message: "Server error fetching students." });
+    }
+});
+
+// A deactivated student leaves every queue: waiting queries are cancelled, a called one
+// counts as a no-show, and upcoming appointments are cancelled to free the slots
+const withdrawStudent = async (studentId) => {
+    const queries = await Query.find({ student: studentId, status: { $in: ['pending', 'called'] } }).select('status');
+    const calledTeachers = new Set();
+    const waitingTeachers = new Set();
+    for (const { _id, status } of queries) {
+        const query = await transitionQuery({ _id }, status === 'called' ? 'no_show' : 'cancelled');
+        if (!query) continue; // Moved on in the meantime
+        emitQueryUpdate(query);
+        (query.status === 'no_show' ? calledTeachers : waitingTeachers).add(String(query.teacher));
+    }
+    for (const teacherId of calledTeachers) await advanceQueueAfterNoShow(teacherId);
+    for (const teacherId of waitingTeachers) {
+        if (!calledTeachers.has(teacherId)) await broadcastQueue(teacherId);
+    }
+
+    const appointments = await Appointment.find({ student: studentId, status: 'booked', start: { $gt: new Date() } });
+    for (const appointment of appointments) {
+        appointment.status = 'cancelled';
+        appointment.cancelledAt = new Date();
+        appointment.cancelledBy = 'admin';
+        await appointment.save();
+        emitAppointmentUpdate(appointment);
+    }
+};
+
+app.put('/api/admin/students/:id/status', adminAuthMiddleware, async (req, res) => {
+    try {
+        const { accountStatus } = req.body;
+        if (!['active', 'deactivated'].includes(accountStatus)) {
+            return res.status(400).json({ message: "accountStatus must be 'active' or 'deactivated'." });
+        }
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: "Student not found." });
+        const student = await Student.findByIdAndUpdate(req.params.id, { accountStatus }, { new: true }).select('-password');
+        if (!student) return res.status(404).json({ message: "Student not found." });
+        if (accountStatus === 'deactivated') {
+            await revokeAuthSessions({ account: student._id });
+            await withdrawStudent(student._id);
+        }
+        res.json(student);
+    } catch (error) {
+        res.status(500).json({ message: "Server error updating student account." });
+    }
+});
+
+// Password resets for both account types: uses `newPassword` if given, otherwise
+// generates a temporary one that is returned once so the admin can pass it on
+const resetPasswordRoute = (Model, label) => async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: `${label} not found.` });
+        const { newPassword: chosenPassword } = req.body;
+        if (chosenPassword !== undefined && (typeof chosenPassword !== 'string' || chosenPassword.length < MIN_PASSWORD_LENGTH)) {
+            return res.status(400).json({ message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+        }
+        const newPassword = chosenPassword || generateTemporaryPassword();
+        const hashedPassword = await bcrypt.hash(newPassword, await bcrypt.genSalt(10));
+        const account = await Model.findByIdAndUpdate(req.params.id, { password: hashedPassword });
+        if (!account) return res.status(404).json({ message: `${label} not found.` });
+        await revokeAuthSessions({ account: account._id });
+
+        res.json({
+            message: `${label} password reset.`,
+            temporaryPassword: chosenPassword ? undefined : newPassword
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error resetting password." });
+    }
+};
+app.put('/api/admin/teachers/:id/password', adminAuthMiddleware, resetPasswordRoute(Teacher, 'Teacher'));
+app.put('/api/admin/students/:id/password', adminAuthMiddleware, resetPasswordRoute(Student, 'Student'));
+
+
+// --- Report Export ---
+// Seconds as HH:MM:SS (hours may exceed 24 for multi-day totals)
+const formatDuration = (totalSeconds) => {
+    const seconds = Math.max(Math.floor(totalSeconds), 0);
+    return [Math.floor(seconds / 3600), Math.floor((seconds % 3600) / 60), seconds % 60]
+        .map(v => String(v).padStart(2, '0'))
+        .join(':');
+};
+
+const REPORT_MAX_DAYS = 400; // Roughly a school year plus margin
+
+// Reads `from`/`to` (inclusive calendar days, default the last 7 days) into a [from, to) range
+const parseReportRange = (query) => {
+    const to = query.to ? parseISO(query.to) : new Date();
+    const from = query.from ? parseISO(query.from) : subDays(to, 6);
+    if (!isValid(from) || !isValid(to)) return { error: "Invalid from/to date." };
+    if (from > to) return { error: "'from' must not be after 'to'." };
+    if (differenceInCalendarDays(to, from) > REPORT_MAX_DAYS) {
+        return { error: `Date ranges are limited to ${REPORT_MAX_DAYS} days.` };
+    }
+    return { from: startOfDay(from), to: addDays(startOfDay(to), 1) };
+};
+
+// Writes a chunk, waiting for the client to drain when the socket buffer is full
+const writeChunk = async (stream, chunk) => {
+    if (!stream.write(chunk)) await once(stream, 'drain');
+};
+
+const escapeCsv = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const PDF_MARGIN = 36;
+const PDF_FONT_SIZE = 8;
+const PDF_ROW_HEIGHT = 14;
+
+/*
+ * A report is a list of sections: { title, columns: [{ header, key, width }], rows }, where
+ * `rows` is an async iterable (e.g. a Mongoose cursor mapped to row objects). Each writer
+ * pulls one row at a time and pushes it straight to the response, so a report over a long
+ * date range never has to sit in memory as a whole.
+ */
+const REPORT_FORMATS = {
+    xlsx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        write: async (res, sections) => {
+            const workbook = new exceljs.stream.xlsx.WorkbookWriter({ stream: res });
+            workbook.creator = 'Teacher Availability App';
+            workbook.created = new Date();
+            for (const section of sections) {
+                const sheet = workbook.addWorksheet(section.title);
+                sheet.columns = section.columns;
+                for await (const row of section.rows) sheet.addRow(row).commit();
+                sheet.commit();
+            }
+            await workbook.commit();
+        }
+    },
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        write: async (res, sections) => {
+            await writeChunk(res, '﻿'); // BOM so spreadsheet imports detect UTF-8
+            for (const [index, section] of sections.entries()) {
+                const line = (cells) => cells.map(escapeCsv).join(',') + '\r\n';
+                if (index > 0) await writeChunk(res, '\r\n');
+                await writeChunk(res, line([section.title]));
+                await writeChunk(res, line(section.columns.map(c => c.header)));
+                for await (const row of section.rows) {
+                    await writeChunk(res, line(section.columns.map(c => row[c.key])));
+                }
+            }
+            res.end();
+        }
+    },
+    pdf: {
+        contentType: 'application/pdf',
+        write: async (res, sections, { title }) => {
+            const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: PDF_MARGIN });
+            const finished = once(res, 'finish');
+            doc.pipe(res);
+            doc.fontSize(16).text(title);
+
+            const pageBottom = () => doc.page.height - PDF_MARGIN;
+            for (const section of sections) {
+                // Column widths follow the spreadsheet widths, scaled to the printable width
+                const printable = doc.page.width - 2 * PDF_MARGIN;
+                const totalWidth = section.columns.reduce((sum, c) => sum + c.width, 0);
+                const widths = section.columns.map(c => (c.width / totalWidth) * printable);
+                const drawRow = (cells, font) => {
+                    if (doc.y + PDF_ROW_HEIGHT > pageBottom()) doc.addPage();
+                    const y = doc.y;
+                    doc.font(font).fontSize(PDF_FONT_SIZE);
+                    let x = PDF_MARGIN;
+                    cells.forEach((cell, i) => {
+                        doc.text(cell === null || cell === undefined ? '' : String(cell), x, y, {
+                            width: widths[i] - 4, height: PDF_ROW_HEIGHT, lineBreak: false, ellipsis: true
+                        });
+                        x += widths[i];
+                    });
+                    doc.x = PDF_MARGIN;
+                    doc.y = y + PDF_ROW_HEIGHT;
+                };
+
+                if (doc.y + 4 * PDF_ROW_HEIGHT > pageBottom()) doc.addPage();
+                doc.moveDown().font('Helvetica-Bold').fontSize(12).text(section.title, PDF_MARGIN);
+                doc.moveDown(0.5);
+                drawRow(section.columns.map(c => c.header), 'Helvetica-Bold');
+                let rowCount = 0;
+                for await (const row of section.rows) {
+                    drawRow(section.columns.map(c => row[c.key]), 'Helvetica');
+                    rowCount += 1;
+                    // Give the client a chance to drain before queueing more pages
+                    if (rowCount % 200 === 0 && res.writableNeedDrain) await once(res, 'drain');
+                }
+                if (rowCount === 0) drawRow(['No records'], 'Helvetica-Oblique');
+            }
+            doc.end();
+            await finished;
+        }
+    }
+};
+
+const parseReportFormat = (value, allowed = Object.keys(REPORT_FORMATS)) => {
+    const format = value || 'xlsx';
+    return allowed.includes(format) ? format : null;
+};
+
+// Sets the download headers and streams the sections in the requested format
+const sendReport = async (res, { format, filename, title, sections }) => {
+    res.setHeader('Content-Type', REPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+    await REPORT_FORMATS[format].write(res, sections, { title });
+};
+
+// Once streaming has started the status line is gone, so a failure can only cut the download short
+const handleReportError = (res, label, error) => {
+    console.error(`${label}:`, error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: "Error generating report." });
+};
+
+// Maps each document of a cursor to a report row as it's read
+async function* mapCursor(cursor, toRow) {
+    for await (const doc of cursor) yield toRow(doc);
+}
+
+async function* fromArray(rows) {
+    yield* rows;
+}
+
+// --- Daily Report Route ---
+// Takes a single `date`, or a `from`/`to` range for multi-day exports; `format` is xlsx, csv or pdf
+app.get('/api/reports/daily', adminAuthMiddleware, async (req, res) => {
+    try {
+        let range;
+        if (req.query.from || req.query.to) {
+            range = parseReportRange(req.query);
+            if (range.error) return res.status(400).json({ message: range.error });
+        } else {
+            const date = req.query.date ? parseISO(req.query.date) : new Date();
+            if (!isValid(date)) return res.status(400).json({ message: "Invalid date." });
+            range = { from: startOfDay(date), to: addDays(startOfDay(date), 1) };
+        }
+        const format = parseReportFormat(req.query.format);
+        if (!format) return res.status(400).json({ message: "format must be 'xlsx', 'csv' or 'pdf'." });
+
+        const { from, to } = range;
+        const isSingleDay = differenceInCalendarDays(to, from) === 1;
+        const formatWhen = (date) => isSingleDay ? date.toLocaleTimeString('en-US') : date.toLocaleString('en-US');
+        const sessionsCursor = () => findSessionsWithin(from, to)
+            .populate('teacher', 'name email')
+            .sort({ start: 1 })
+            .cursor();
+
+        // Totals per teacher, with sessions clipped to the report range (open ones count up to now).
+        // Only the running totals are kept; the session rows are streamed again below.
+        const now = new Date();
+        const totals = new Map();
+        for await (const session of sessionsCursor()) {
+            const key = String(session.teacher._id);
+            const entry = totals.get(key) || { teacher: session.teacher, seconds: 0 };
+            entry.seconds += sessionSecondsWithin(session, from, to, now);
+            totals.set(key, entry);
+        }
+
+        const sections = [
+            {
+                title: 'Teacher Availability',
+                columns: [
+                    { header: 'Teacher Name', key: 'name', width: 30 },
+                    { header: 'Teacher Email', key: 'email', width: 30 },
+                    { header: 'Total Available Time (HH:MM:SS)', key: 'time', width: 35 },
+                ],
+                rows: fromArray([...totals.values()].map(({ teacher, seconds }) => ({
+                    name: teacher.name,
+                    email: teacher.email,
+                    time: formatDuration(seconds)
+                })))
+            },
+            {
+                title: 'Availability Sessions',
+                columns: [
+                    { header: 'Teacher Name', key: 'name', width: 30 },
+                    { header: 'Start', key: 'start', width: 25 },
+                    { header: 'End', key: 'end', width: 25 },
+                    { header: `Duration ${isSingleDay ? 'This Day' : 'In Range'} (HH:MM:SS)`, key: 'duration', width: 30 },
+                    { header: 'Started By', key: 'source', width: 15 },
+                    { header: 'Ended By', key: 'endSource', width: 15 },
+                ],
+                rows: mapCursor(sessionsCursor(), session => ({
+                    name: session.teacher.name,
+                    start: session.start.toLocaleString('en-US'),
+                    end: session.end ? session.end.toLocaleString('en-US') : 'Still available',
+                    duration: formatDuration(sessionSecondsWithin(session, from, to, now)),
+                    source: session.source,
+                    endSource: session.endSource || ''
+                }))
+            },
+            {
+                title: 'Daily Queries',
+                columns: [
+                    { header: 'Time', key: 'time', width: 20 },
+                    { header: 'Student Name', key: 'student', width: 30 },
+                    { header: 'Teacher Name', key: 'teacher', width: 30 },
+                    { header: 'Query', key: 'query', width: 50 },
+                    { header: 'Rating', key: 'rating', width: 10 },
+                    { header: 'Feedback Tags', key: 'tags', width: 30 },
+                    { header: 'Feedback Comment', key: 'comment', width: 40 },
+                ],
+                rows: mapCursor(
+                    Query.find({ createdAt: { $gte: from, $lt: to } })
+                        .populate('teacher', 'name email')
+                        .sort({ createdAt: 1 })
+                        .cursor(),
+                    q => ({
+                        time: formatWhen(q.createdAt),
+                        student: q.studentName,
+                        teacher: q.teacher.name,
+                        query: q.queryText,
+                        // Queries rated before ratings existed only have the old satisfied/not satisfied outcome
+                        rating: q.feedback ? q.feedback.rating : (q.resolution ? q.resolution.replace('_', ' ') : 'N/A'),
+                        tags: q.feedback ? q.feedback.tags.map(tag => tag.replace(/_/g, ' ')).join(', ') : '',
+                        comment: q.feedback?.comment || ''
+                    })
+                )
+            },
+            {
+                title: 'Appointments',
+                columns: [
+                    { header: 'Start', key: 'start', width: 15 },
+                    { header: 'End', key: 'end', width: 15 },
+                    { header: 'Student Name', key: 'student', width: 30 },
+                    { header: 'Teacher Name', key: 'teacher', width: 30 },
+                    { header: 'Topic', key: 'topic', width: 40 },
+                    { header: 'Status', key: 'status', width: 25 },
+                ],
+                rows: mapCursor(
+                    Appointment.find({ start: { $gte: from, $lt: to } })
+                        .populate('teacher', 'name email')
+                        .sort({ start: 1 })
+                        .cursor(),
+                    a => ({
+                        start: formatWhen(a.start),
+                        end: a.end.toLocaleTimeString('en-US'),
+                        student: a.studentName,
+                        teacher: a.teacher.name,
+                        topic: a.topic || '',
+                        status: a.status === 'cancelled' ? `Cancelled by ${a.cancelledBy}` : 'Booked'
+                    })
+                )
+            }
+        ];
+
+        const firstDay = from.toLocaleDateString('en-CA');
+        const lastDay = subDays(to, 1).toLocaleDateString('en-CA');
+        const label = isSingleDay ? firstDay : `${firstDay}_to_${lastDay}`;
+        await sendReport(res, {
+            format,
+            filename: `DailyReport-${label}`,
+            title: `Daily Report ${isSingleDay ? firstDay : `${firstDay} to ${lastDay}`}`,
+            sections
+        });
+    } catch (error) {
+        handleReportError(res, "Report generation error", error);
+    }
+});
+
+
+// --- Analytics Report Route ---
+const ANALYTICS_GROUPINGS = {
+    week: { startOf: (d) => startOfWeek(d, { weekStartsOn: 1 }), next: (d) => addWeeks(d, 1) },
+    month: { startOf: startOfMonth, next: (d) => addMonths(d, 1) }
+};
+
+// Splits [from, to) into the requested periods; without a grouping it's one period
+const buildPeriods = (from, to, groupBy) => {
+    const grouping = ANALYTICS_GROUPINGS[groupBy];
+    if (!grouping) return [{ start: from, end: to }];
+    const periods = [];
+    for (let start = grouping.startOf(from); start < to; start = grouping.next(start)) {
+        const end = grouping.next(start);
+        periods.push({ start: new Date(Math.max(start, from)), end: new Date(Math.min(end, to)) });
+    }
+    return periods;
+};
+
+// Handling time runs from the start of the session when there was one, else from when the query was raised
+const handlingSeconds = (query) => (query.endedAt - (query.startedAt || query.createdAt)) / 1000;
+
+// Ratings of 4 or 5 count as satisfied; queries from before ratings keep their old binary outcome
+const SATISFIED_RATING = 4;
+
+const summarizeFeedback = (queries) => {
+    const ratingCounts = [0, 0, 0, 0, 0]; // index 0 is one star
+    const tagCounts = Object.fromEntries(FEEDBACK_TAGS.map(tag => [tag, 0]));
+    let satisfied = 0;
+    let notSatisfied = 0;
+    queries.forEach(q => {
+        if (q.feedback) {
+            ratingCounts[q.feedback.rating - 1] += 1;
+            q.feedback.tags.forEach(tag => { tagCounts[tag] += 1; });
+            if (q.feedback.rating >= SATISFIED_RATING) satisfied += 1;
+            else notSatisfied += 1;
+        } else if (q.resolution === 'satisfied') {
+            satisfied += 1;
+        } else if (q.resolution === 'not_satisfied') {
+            notSatisfied += 1;
+        }
     });
-    
-    socket.on('disconnect', () => {
-        console.log('User disconnected:', socket.id);
+    return toFeedbackSummary({ ratingCounts, tagCounts, satisfied, notSatisfied });
+};
+
+// Averages and rates from feedback counts, however they were tallied
+const toFeedbackSummary = ({ ratingCounts, tagCounts, satisfied, notSatisfied }) => {
+    const ratedCount = ratingCounts.reduce((total, count) => total + count, 0);
+    const ratingSum = ratingCounts.reduce((total, count, i) => total + count * (i + 1), 0);
+    const judged = satisfied + notSatisfied;
+    return {
+        ratedCount,
+        averageRating: ratedCount ? Math.round((ratingSum / ratedCount) * 10) / 10 : null,
+        ratingCounts,
+        tagCounts,
+        satisfied,
+        notSatisfied,
+        satisfactionRate: judged ? Math.round((satisfied / judged) * 1000) / 10 : null // percent
+    };
+};
+
+const formatTags = (tagCounts) => Object.entries(tagCounts)
+    .filter(([, count]) => count > 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([tag, count]) => `${tag.replace(/_/g, ' ')} (${count})`)
+    .join(', ');
+
+// --- Analytics aggregations: totals per { teacher, period }, where `period` indexes into
+// buildPeriods(). The database does the counting, so only the totals are held in memory. ---
+const RATINGS = [1, 2, 3, 4, 5];
+const HAS_FEEDBACK = { $ifNull: ['$feedback', false] };
+const IS_HANDLED = { $and: [{ $eq: ['$status', 'ended'] }, { $ifNull: ['$endedAt', false] }] };
+
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// Periods are back to back, so a date's period is the number of periods that ended by then
+const periodIndexOf = (periods, field) => ({
+    $size: { $filter: { input: { $literal: periods.map(p => p.end) }, cond: { $lte: ['$$this', field] } } }
+});
+
+// Available milliseconds, with each session split across the periods it overlaps
+// (open sessions count up to `now`)
+const aggregateAvailability = (teacherIds, periods, now) => AvailabilitySession.aggregate([
+    {
+        $match: {
+            teacher: { $in: teacherIds },
+            start: { $lt: periods[periods.length - 1].end },
+            $or: [{ end: null }, { end: { $gt: periods[0].start } }]
+        }
+    },
+    {
+        $project: {
+            teacher: 1,
+            shares: {
+                $map: {
+                    input: { $literal: periods.map((p, index) => ({ index, start: p.start, end: p.end })) },
+                    as: 'period',
+                    in: {
+                        period: '$$period.index',
+                        ms: {
+                            $subtract: [
+                                { $min: [{ $ifNull: ['$end', now] }, '$$period.end'] },
+                                { $max: ['$start', '$$period.start'] }
+                            ]
+                        }
+                    }
+                }
+            }
+        }
+    },
+    { $unwind: '$shares' },
+    { $match: { 'shares.ms': { $gt: 0 } } },
+    { $group: { _id: { teacher: '$teacher', period: '$shares.period' }, ms: { $sum: '$shares.ms' } } }
+]);
+
+// Query counts, handling time and feedback tallies, by when each query was raised
+const aggregateQueries = (teacherIds, periods) => Query.aggregate([
+    {
+        $match: {
+            teacher: { $in: teacherIds },
+            createdAt: { $gte: periods[0].start, $lt: periods[periods.length - 1].end }
+        }
+    },
+    {
+        $group: {
+            _id: { teacher: '$teacher', period: periodIndexOf(periods, '$createdAt') },
+            received: { $sum: 1 },
+            handled: countIf(IS_HANDLED),
+            // Same measure as handlingSeconds(): from the start of the session, else from when it was raised
+            handlingMs: { $sum: { $cond: [IS_HANDLED, { $subtract: ['$endedAt', { $ifNull: ['$startedAt', '$createdAt'] }] }, 0] } },
+            // Ratings decide when there are any; older queries keep their binary outcome
+            satisfied: countIf({ $cond: [HAS_FEEDBACK, { $gte: ['$feedback.rating', SATISFIED_RATING] }, { $eq: ['$resolution', 'satisfied'] }] }),
+            notSatisfied: countIf({ $cond: [HAS_FEEDBACK, { $lt: ['$feedback.rating', SATISFIED_RATING] }, { $eq: ['$resolution', 'not_satisfied'] }] }),
+            ...Object.fromEntries(RATINGS.map(rating => [`rating${rating}`, countIf({ $eq: ['$feedback.rating', rating] })])),
+            ...Object.fromEntries(FEEDBACK_TAGS.map(tag => [`tag_${tag}`, {
+                $sum: { $size: { $filter: { input: { $ifNull: ['$feedback.tags', []] }, cond: { $eq: ['$$this', tag] } } } }
+            }]))
+        }
+    }
+]);
+
+// Per-teacher (and per-period) availability and query statistics for [from, to)
+const buildTeacherAnalytics = async ({ from, to, teacherId, groupBy }) => {
+    const teacherFilter = teacherId ? { _id: teacherId } : {};
+    const teachers = await Teacher.find(teacherFilter).select('name email').sort({ name: 1 }).lean();
+    const teacherIds = teachers.map(t => t._id);
+    const periods = buildPeriods(from, to, groupBy);
+
+    const [availability, queryTotals] = await Promise.all([
+        aggregateAvailability(teacherIds, periods, new Date()),
+        aggregateQueries(teacherIds, periods)
+    ]);
+    const byTeacherAndPeriod = (totals) => new Map(totals.map(total => [`${total._id.teacher}:${total._id.period}`, total]));
+    const availabilityByKey = byTeacherAndPeriod(availability);
+    const queriesByKey = byTeacherAndPeriod(queryTotals);
+
+    return teachers.flatMap(teacher => periods.map((period, index) => {
+        const key = `${teacher._id}:${index}`;
+        const availableSeconds = (availabilityByKey.get(key)?.ms || 0) / 1000;
+        const totals = queriesByKey.get(key) || {};
+        const handled = totals.handled || 0;
+
+        return {
+            teacherId: teacher._id,
+            teacherName: teacher.name,
+            teacherEmail: teacher.email,
+            periodStart: period.start,
+            periodEnd: period.end,
+            availableHours: Math.round(availableSeconds / 36) / 100,
+            queriesReceived: totals.received || 0,
+            queriesHandled: handled,
+            averageHandlingSeconds: handled ? Math.round(totals.handlingMs / 1000 / handled) : null,
+            ...toFeedbackSummary({
+                ratingCounts: RATINGS.map(rating => totals[`rating${rating}`] || 0),
+                tagCounts: Object.fromEntries(FEEDBACK_TAGS.map(tag => [tag, totals[`tag_${tag}`] || 0])),
+                satisfied: totals.satisfied || 0,
+                notSatisfied: totals.notSatisfied || 0
+            })
+        };
+    }));
+};
+
+// `format` is json (for dashboards), or xlsx (default), csv or pdf; `groupBy` is week or month
+app.get('/api/reports/analytics', adminAuthMiddleware, async (req, res) => {
+    try {
+        const range = parseReportRange(req.query);
+        if (range.error) return res.status(400).json({ message: range.error });
+        const { teacherId, groupBy } = req.query;
+        if (teacherId && !(mongoose.isValidObjectId(teacherId) && await Teacher.exists({ _id: teacherId }))) {
+            return res.status(404).json({ message: "Teacher not found." });
+        }
+        if (groupBy && !ANALYTICS_GROUPINGS[groupBy]) {
+            return res.status(400).json({ message: "groupBy must be 'week' or 'month'." });
+        }
+        const format = parseReportFormat(req.query.format, ['json', ...Object.keys(REPORT_FORMATS)]);
+        if (!format) {
+            return res.status(400).json({ message: "format must be 'json', 'xlsx', 'csv' or 'pdf'." });
+        }
+
+        const rows = await buildTeacherAnalytics({ ...range, teacherId, groupBy });
+        const lastDay = subDays(range.to, 1);
+
+        if (format === 'json') {
+            return res.json({ from: range.from, to: lastDay, groupBy: groupBy || null, rows });
+        }
+
+        const firstLabel = range.from.toLocaleDateString('en-CA');
+        const lastLabel = lastDay.toLocaleDateString('en-CA');
+        await sendReport(res, {
+            format,
+            filename: `AnalyticsReport-${firstLabel}_to_${lastLabel}`,
+            title: `Analytics Report ${firstLabel} to ${lastLabel}`,
+            sections: [{
+                title: 'Teacher Summary',
+                columns: [
+                    { header: 'Period Start', key: 'periodStart', width: 15 },
+                    { header: 'Period End', key: 'periodEnd', width: 15 },
+                    { header: 'Teacher Name', key: 'name', width: 30 },
+                    { header: 'Teacher Email', key: 'email', width: 30 },
+                    { header: 'Available Hours', key: 'hours', width: 18 },
+                    { header: 'Queries Received', key: 'received', width: 18 },
+                    { header: 'Queries Handled', key: 'handled', width: 18 },
+                    { header: 'Avg Handling Time (HH:MM:SS)', key: 'avgHandling', width: 30 },
+                    { header: 'Ratings', key: 'ratedCount', width: 10 },
+                    { header: 'Avg Rating (1-5)', key: 'averageRating', width: 16 },
+                    { header: 'Satisfied', key: 'satisfied', width: 12 },
+                    { header: 'Not Satisfied', key: 'notSatisfied', width: 15 },
+                    { header: 'Satisfaction Rate (%)', key: 'rate', width: 22 },
+                    { header: 'Feedback Tags', key: 'tags', width: 40 },
+                ],
+                rows: fromArray(rows.map(row => ({
+                    periodStart: row.periodStart.toLocaleDateString('en-CA'),
+                    periodEnd: subDays(row.periodEnd, 1).toLocaleDateString('en-CA'),
+                    name: row.teacherName,
+                    email: row.teacherEmail,
+                    hours: row.availableHours,
+                    received: row.queriesReceived,
+                    handled: row.queriesHandled,
+                    avgHandling: row.averageHandlingSeconds === null ? 'N/A' : formatDuration(row.averageHandlingSeconds),
+                    ratedCount: row.ratedCount,
+                    averageRating: row.averageRating === null ? 'N/A' : row.averageRating,
+                    satisfied: row.satisfied,
+                    notSatisfied: row.notSatisfied,
+                    rate: row.satisfactionRate === null ? 'N/A' : row.satisfactionRate,
+                    tags: formatTags(row.tagCounts)
+                })))
+            }]
+        });
+    } catch (error) {
+        handleReportError(res, "Analytics report error", error);
+    }
+});
+
+
+// 8. SOCKET.IO LOGIC
+
+// Every socket is scoped to exactly one private room for its account, so events
+// about a query only ever reach the student who raised it and the teacher it targets.
+const teacherRoom = (teacherId) => `teacher:${teacherId}`;
+const studentRoom = (studentId) => `student:${studentId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`; // Lets a revoked session's sockets be dropped
+const ADMIN_ROOM = 'admins';
+
+const queryRooms = (query) => {
+    const rooms = [teacherRoom(query.teacher)];
+    if (query.student) rooms.push(studentRoom(query.student));
+    return rooms;
+};
+
+const emitQueryUpdate = (query) => {
+    io.to(queryRooms(query)).emit('queryUpdated', query);
+};
+
+const emitQueryMessage = (query, message) => {
+    io.to(queryRooms(query)).emit('queryMessage', message);
+};
+
+// Authenticate the handshake with the same JWT the REST routes use. 'Token has expired'
+// tells the apps to refresh and reconnect. Every role's token must name a session that still
+// exists, so a logged-out device can't open a socket.
+io.use(async (socket, next) => {
+    const token = socket.handshake.auth?.token;
+    if (!token) return next(new Error('No token, authorization denied'));
+    let decoded;
+    try {
+        decoded = jwt.verify(token, JWT_SECRET);
+    } catch (e) {
+        return next(new Error(e.name === 'TokenExpiredError' ? TOKEN_EXPIRED.message : 'Token is not valid'));
+    }
+    const role = decoded.role || 'teacher';
+    try {
+        if (!(decoded.sid && await AuthSession.exists({ _id: decoded.sid }))) {
+            return next(new Error('Token is not valid'));
+        }
+    } catch (e) {
+        return next(new Error('Server error checking session'));
+    }
+    socket.data.user = { id: decoded.id, role, sessionId: decoded.sid };
+    next();
+});
+
+io.on('connection', (socket) => {
+    const { id, role, sessionId } = socket.data.user;
+    // Rooms are re-joined on every (re)connection, so clients never need to ask for them
+    const room = role === 'student' ? studentRoom(id) : role === 'admin' ? ADMIN_ROOM : teacherRoom(id);
+    socket.join(room);
+    if (sessionId) socket.join(sessionRoom(sessionId));
+    console.log(`${role} ${id} connected (${socket.id}) and joined ${room}`);
+
+    if (role === 'teacher') {
+        recordHeartbeat(id);
+        socket.on('heartbeat', () => recordHeartbeat(id));
+    }
+
+    socket.on('disconnect', (reason) => {
+        console.log(`${role} ${id} disconnected (${socket.id}): ${reason}`);
     });
 });
 
@@ -1,15 +1,75 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { io } from 'socket.io-client';
 import axios from 'axios';
 import './App.css';
 
 const API_URL = 'https://teacher-availability-app.onrender.com';
-const socket = io(API_URL);
+// Connected only once the dashboard has a token to authenticate the handshake with
+const socket = io(API_URL, { autoConnect: false });
+
+// --- Session Tokens: a short-lived access token plus a refresh token that rotates on every use ---
+const TOKEN_KEY = 'student-token';
+const REFRESH_TOKEN_KEY = 'student-refresh-token';
+
+const storeSession = ({ token, refreshToken }) => {
+    localStorage.setItem(TOKEN_KEY, token);
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+};
+
+const clearSession = () => {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+// Components send the token they were rendered with; swap in the newest one
+axios.interceptors.request.use((config) => {
+    const token = localStorage.getItem(TOKEN_KEY);
+    if (token && config.headers.has('x-auth-token')) config.headers.set('x-auth-token', token);
+    return config;
+});
+
+// Requests that hit an expired token at the same time share one refresh
+let refreshPromise = null;
+const refreshSession = () => {
+    if (!refreshPromise) {
+        const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+        refreshPromise = axios.post(`${API_URL}/api/student/auth/refresh`, { refreshToken })
+            .then(response => storeSession(response.data))
+            .catch(err => {
+                // Another tab may have rotated the shared token first, which is just as good
+                const latest = localStorage.getItem(REFRESH_TOKEN_KEY);
+                if (!latest || latest === refreshToken) throw err;
+            })
+            .finally(() => { refreshPromise = null; });
+    }
+    return refreshPromise;
+};
+
+// Response interceptor: retries an authenticated request once after a refresh, and
+// calls `onSessionEnded` when the session can't be refreshed any more
+const createAuthRetry = (onSessionEnded) => async (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || !config?.headers?.has('x-auth-token') || config.isRetry) throw error;
+    try {
+        await refreshSession();
+    } catch {
+        onSessionEnded();
+        throw error;
+    }
+    return axios({ ...config, isRetry: true });
+};
+
+// Links in account emails open the app with ?resetToken= or ?verifyToken=
+const readEmailLink = () => {
+    const params = new URLSearchParams(window.location.search);
+    return { resetToken: params.get('resetToken'), verifyToken: params.get('verifyToken') };
+};
+const MIN_PASSWORD_LENGTH = 8;
 
 // --- Main App: Handles Auth Routing ---
 export default function App() {
     // Attempt to load token and student info from localStorage on initial load
-    const [token, setToken] = useState(localStorage.getItem('student-token'));
+    const [token, setToken] = useState(localStorage.getItem(TOKEN_KEY));
     const [student, setStudent] = useState(() => {
         const savedStudent = localStorage.getItem('student-info');
         try {
@@ -19,40 +79,64 @@ export default function App() {
         }
     });
 
-    const [view, setView] = useState(token && student ? 'dashboard' : 'login');
+    const [emailLink] = useState(readEmailLink);
+    const [view, setView] = useState(() => {
+        if (emailLink.resetToken) return 'reset-password';
+        if (emailLink.verifyToken) return 'verify-email';
+        return token && student ? 'dashboard' : 'login';
+    });
+
+    // Keep the single-use token out of the address bar and browser history
+    useEffect(() => {
+        if (emailLink.resetToken || emailLink.verifyToken) {
+            window.history.replaceState(null, '', window.location.pathname);
+        }
+    }, [emailLink]);
 
-    const handleLoginSuccess = (newToken, studentData) => {
-        localStorage.setItem('student-token', newToken);
+    const handleLoginSuccess = (session, studentData) => {
+        storeSession(session);
         localStorage.setItem('student-info', JSON.stringify(studentData));
-        setToken(newToken);
+        setToken(session.token);
         setStudent(studentData);
         setView('dashboard');
     };
 
-    const handleLogout = () => {
-        // Clear student-specific data from localStorage
-        if (student) {
-            localStorage.removeItem(`studentQueries_${student.id}`);
-        }
-        localStorage.removeItem('student-token');
+    const handleLogout = useCallback(() => {
+        // Revoke the session on the server too, without making the user wait for it
+        const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+        if (refreshToken) axios.post(`${API_URL}/api/student/auth/logout`, { refreshToken }).catch(() => {});
+        // Query history lives on the server now, so only the session is cleared
+        clearSession();
         localStorage.removeItem('student-info');
 
         setToken(null);
         setStudent(null);
         setView('login');
-    };
+    }, []);
+
+    // Expired access tokens are refreshed behind the scenes; a dead session logs out
+    useEffect(() => {
+        const interceptor = axios.interceptors.response.use(undefined, createAuthRetry(handleLogout));
+        return () => axios.interceptors.response.eject(interceptor);
+    }, [handleLogout]);
 
     // Render the correct view based on the current state (login, register, or dashboard)
     const renderView = () => {
         switch (view) {
             case 'login':
-                return <Login onLoginSuccess={handleLoginSuccess} onSwitchToRegister={() => setView('register')} />;
+                return <Login onLoginSuccess={handleLoginSuccess} onSwitchToRegister={() => setView('register')} onForgotPassword={() => setView('forgot-password')} />;
             case 'register':
                 return <Register onSwitchToLogin={() => setView('login')} />;
+            case 'forgot-password':
+                return <ForgotPassword onSwitchToLogin={() => setView('login')} />;
+            case 'reset-password':
+                return <ResetPassword resetToken={emailLink.resetToken} onSwitchToLogin={() => setView(token && student ? 'dashboard' : 'login')} />;
+            case 'verify-email':
+                return <VerifyEmail verifyToken={emailLink.verifyToken} onSwitchToLogin={() => setView(token && student ? 'dashboard' : 'login')} />;
             case 'dashboard':
-                return <StudentDashboard student={student} onLogout={handleLogout} />;
+                return <StudentDashboard token={token} student={student} onLogout={handleLogout} />;
             default:
-                return <Login onLoginSuccess={handleLoginSuccess} onSwitchToRegister={() => setView('register')} />;
+                return <Login onLoginSuccess={handleLoginSuccess} onSwitchToRegister={() => setView('register')} onForgotPassword={() => setView('forgot-password')} />;
         }
     };
 
@@ -60,30 +144,64 @@ export default function App() {
 }
 
 // --- Login Component ---
-function Login({ onLoginSuccess, onSwitchToRegister }) {
+function Login({ onLoginSuccess, onSwitchToRegister, onForgotPassword }) {
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+    const [needsVerification, setNeedsVerification] = useState(false);
     const [isLoading, setIsLoading] = useState(false);
+    // Set while the server is turning logins away (429), until the wait it gave has passed
+    const [retryAt, setRetryAt] = useState(null);
+
+    useEffect(() => {
+        if (!retryAt) return;
+        const timer = setTimeout(() => setRetryAt(null), Math.max(retryAt - Date.now(), 0));
+        return () => clearTimeout(timer);
+    }, [retryAt]);
 
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
+        setNotice('');
+        setNeedsVerification(false);
         setIsLoading(true);
         try {
             const response = await axios.post(`${API_URL}/api/student/auth/login`, { email, password });
-            onLoginSuccess(response.data.token, response.data.student);
+            const { token, refreshToken, student } = response.data;
+            onLoginSuccess({ token, refreshToken }, student);
         } catch (err) {
             setError(err.response?.data?.message || 'Login failed. Please check your credentials.');
+            setNeedsVerification(err.response?.data?.code === 'EMAIL_NOT_VERIFIED');
+            if (err.response?.status === 429) {
+                setRetryAt(Date.now() + (err.response.data?.retryAfterSeconds || 60) * 1000);
+            }
         } finally {
             setIsLoading(false);
         }
     };
 
+    const handleResendVerification = async () => {
+        setError('');
+        try {
+            const response = await axios.post(`${API_URL}/api/student/auth/resend-verification`, { email });
+            setNeedsVerification(false);
+            setNotice(response.data.message);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not send the verification email. Please try again.');
+        }
+    };
+
     return (
         <div className="auth-form-container">
             <h2 className="form-title">Student Login</h2>
             {error && <p className="form-error">{error}</p>}
+            {notice && <p className="form-success">{notice}</p>}
+            {needsVerification && (
+                <p className="switch-form-text">
+                    <button onClick={handleResendVerification} className="switch-form-link">Resend verification email</button>
+                </p>
+            )}
             <form onSubmit={handleSubmit}>
                 <div className="form-group">
                     <label htmlFor="email">Email Address</label>
@@ -93,10 +211,13 @@ function Login({ onLoginSuccess, onSwitchToRegister }) {
                     <label htmlFor="password">Password</label>
                     <input id="password" type="password" value={password} onChange={e => setPassword(e.target.value)} placeholder="Enter your password" required />
                 </div>
-                <button type="submit" className="form-submit-btn" disabled={isLoading}>
-                    {isLoading ? 'Logging in...' : 'Login'}
+                <button type="submit" className="form-submit-btn" disabled={isLoading || Boolean(retryAt)}>
+                    {retryAt ? 'Please wait...' : isLoading ? 'Logging in...' : 'Login'}
                 </button>
             </form>
+            <p className="switch-form-text">
+                <button onClick={onForgotPassword} className="switch-form-link">Forgot your password?</button>
+            </p>
             <p className="switch-form-text">
                 No account? <button onClick={onSwitchToRegister} className="switch-form-link">Register Here</button>
             </p>
@@ -120,8 +241,8 @@ function Register({ onSwitchToLogin }) {
         setIsLoading(true);
         try {
             await axios.post(`${API_URL}/api/student/auth/register`, { name, email, password });
-            setSuccess('Registration successful! Please log in.');
-            setTimeout(() => onSwitchToLogin(), 2000);
+            setSuccess('Registration successful! Check your email for a link to verify your address, then log in.');
+            setTimeout(() => onSwitchToLogin(), 4000);
         } catch (err) {
             setError(err.response?.data?.message || 'Registration failed. Please try again.');
         } finally {
@@ -145,7 +266,7 @@ function Register({ onSwitchToLogin }) {
                 </div>
                 <div className="form-group">
                     <label htmlFor="password">Password</label>
-                    <input id="password" type="password" value={password} onChange={e => setPassword(e.target.value)} placeholder="Create a password" required />
+                    <input id="password" type="password" value={password} onChange={e => setPassword(e.target.value)} minLength={MIN_PASSWORD_LENGTH} autoComplete="new-password" placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`} required />
                 </div>
                 <button type="submit" className="form-submit-btn" disabled={isLoading}>
                     {isLoading ? 'Registering...' : 'Register'}
@@ -159,114 +280,704 @@ function Register({ onSwitchToLogin }) {
 }
 
 
+// --- Forgot Password Component: emails a reset link ---
+function ForgotPassword({ onSwitchToLogin }) {
+    const [email, setEmail] = useState('');
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+        setIsLoading(true);
+        try {
+            const response = await axios.post(`${API_URL}/api/student/auth/forgot-password`, { email });
+            setSuccess(response.data.message);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not send a reset link. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="auth-form-container">
+            <h2 className="form-title">Reset Password</h2>
+            {error && <p className="form-error">{error}</p>}
+            {success && <p className="form-success">{success}</p>}
+            <form onSubmit={handleSubmit}>
+                <div className="form-group">
+                    <label htmlFor="email">Email Address</label>
+                    <input id="email" type="email" value={email} onChange={e => setEmail(e.target.value)} placeholder="Enter your email" required />
+                </div>
+                <button type="submit" className="form-submit-btn" disabled={isLoading}>
+                    {isLoading ? 'Sending...' : 'Send Reset Link'}
+                </button>
+            </form>
+            <p className="switch-form-text">
+                <button onClick={onSwitchToLogin} className="switch-form-link">Back to Login</button>
+            </p>
+        </div>
+    );
+}
+
+// --- Reset Password Component: opened from the emailed link ---
+function ResetPassword({ resetToken, onSwitchToLogin }) {
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        if (password !== confirmPassword) return setError('Passwords do not match.');
+        setIsLoading(true);
+        try {
+            const response = await axios.post(`${API_URL}/api/student/auth/reset-password`, { token: resetToken, password });
+            setSuccess(response.data.message);
+            setTimeout(() => onSwitchToLogin(), 3000);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not reset your password. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="auth-form-container">
+            <h2 className="form-title">Choose a New Password</h2>
+            {error && <p className="form-error">{error}</p>}
+            {success && <p className="form-success">{success}</p>}
+            <form onSubmit={handleSubmit}>
+                <div className="form-group">
+                    <label htmlFor="newPassword">New Password</label>
+                    <input id="newPassword" type="password" value={password} onChange={e => setPassword(e.target.value)} minLength={MIN_PASSWORD_LENGTH} autoComplete="new-password" placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`} required />
+                </div>
+                <div className="form-group">
+                    <label htmlFor="confirmPassword">Confirm New Password</label>
+                    <input id="confirmPassword" type="password" value={confirmPassword} onChange={e => setConfirmPassword(e.target.value)} autoComplete="new-password" placeholder="Repeat the new password" required />
+                </div>
+                <button type="submit" className="form-submit-btn" disabled={isLoading || Boolean(success)}>
+                    {isLoading ? 'Saving...' : 'Reset Password'}
+                </button>
+            </form>
+            <p className="switch-form-text">
+                <button onClick={onSwitchToLogin} className="switch-form-link">Back to Login</button>
+            </p>
+        </div>
+    );
+}
+
+// --- Verify Email Component: opened from the emailed link ---
+function VerifyEmail({ verifyToken, onSwitchToLogin }) {
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+    const hasRequestedRef = useRef(false); // Tokens are single-use, so never send one twice
+
+    useEffect(() => {
+        if (hasRequestedRef.current) return;
+        hasRequestedRef.current = true;
+        axios.post(`${API_URL}/api/student/auth/verify-email`, { token: verifyToken })
+            .then(response => setSuccess(response.data.message))
+            .catch(err => setError(err.response?.data?.message || 'Could not verify your email. Please try again.'));
+    }, [verifyToken]);
+
+    return (
+        <div className="auth-form-container">
+            <h2 className="form-title">Email Verification</h2>
+            {!error && !success && <p className="switch-form-text">Verifying your email address...</p>}
+            {error && <p className="form-error">{error}</p>}
+            {success && <p className="form-success">{success}</p>}
+            <p className="switch-form-text">
+                <button onClick={onSwitchToLogin} className="switch-form-link">Continue to Login</button>
+            </p>
+        </div>
+    );
+}
+
+
 // --- Student Dashboard: The main view after logging in ---
-function StudentDashboard({ student, onLogout }) {
-    const [teachers, setTeachers] = useState([]);
-    const [isLoading, setIsLoading] = useState(true);
-    const [myQueries, setMyQueries] = useState(() => {
+function StudentDashboard({ token, student, onLogout }) {
+    // Directory entries by id: whoever is available now, plus the teachers named by this
+    // student's appointments or call. Kept live by 'statusUpdate'.
+    const [teachers, setTeachers] = useState({});
+    const [myQueries, setMyQueries] = useState([]);
+    const [hasMoreQueries, setHasMoreQueries] = useState(false);
+    const [statusFilter, setStatusFilter] = useState('');
+    const [isLoadingQueries, setIsLoadingQueries] = useState(true);
+    const [queuePositions, setQueuePositions] = useState({}); // keyed by query id
+    const [appointments, setAppointments] = useState([]);
+    const [cancelWindowHours, setCancelWindowHours] = useState(0);
+    const [showSessions, setShowSessions] = useState(false);
+
+    // Fetches who can take a query right now, replacing anything cached from before
+    const fetchAvailableTeachers = useCallback(async () => {
         try {
-            // Load queries specific to the logged-in student
-            const savedQueries = localStorage.getItem(`studentQueries_${student.id}`);
-            return savedQueries ? JSON.parse(savedQueries) : [];
+            const response = await axios.get(`${API_URL}/api/teachers`, {
+                headers: { 'x-auth-token': token },
+                params: { available: 'true', limit: TEACHER_LOOKUP_LIMIT }
+            });
+            setTeachers(Object.fromEntries(response.data.teachers.map(t => [t._id, t])));
         } catch (error) {
-            console.error("Failed to parse queries from localStorage", error);
-            return [];
+            console.error("Could not fetch available teachers:", error);
         }
-    });
+    }, [token]);
 
-    // Effect to fetch initial teacher data and listen for status updates
     useEffect(() => {
-        const fetchInitialTeachers = async () => {
-            try {
-                const response = await axios.get(`${API_URL}/api/teachers`);
-                setTeachers(response.data);
-            } catch (error) {
-                console.error("Could not fetch teachers:", error);
-            } finally {
-                setIsLoading(false);
-            }
+        fetchAvailableTeachers();
+    }, [fetchAvailableTeachers]);
+
+    // Each change arrives as one teacher; keep it if it's already shown or can now take queries,
+    // and drop teachers whose account is no longer active
+    useEffect(() => {
+        const handleStatusUpdate = (teacher) => {
+            setTeachers(prev => {
+                if (teacher.isActive === false) {
+                    const next = { ...prev };
+                    delete next[teacher._id];
+                    return next;
+                }
+                return prev[teacher._id] || teacher.isAvailable ? { ...prev, [teacher._id]: teacher } : prev;
+            });
         };
-        fetchInitialTeachers();
+        socket.on('statusUpdate', handleStatusUpdate);
+        return () => socket.off('statusUpdate', handleStatusUpdate);
+    }, []);
+
+    // Fetches one page of the student's query history from the server. Later pages continue
+    // from the oldest query shown (`before`), so queries raised in between can't shift them.
+    const fetchMyQueries = useCallback(async (before, status) => {
+        setIsLoadingQueries(true);
+        try {
+            const response = await axios.get(`${API_URL}/api/student/queries`, {
+                headers: { 'x-auth-token': token },
+                params: { before, status: status || undefined }
+            });
+            const { queries, totalPages } = response.data;
+            setMyQueries(prevQueries => {
+                if (!before) return queries;
+                const shown = new Set(prevQueries.map(q => q._id));
+                return [...prevQueries, ...queries.filter(q => !shown.has(q._id))];
+            });
+            setHasMoreQueries(totalPages > 1);
+        } catch (error) {
+            console.error("Could not fetch your queries:", error);
+        } finally {
+            setIsLoadingQueries(false);
+        }
+    }, [token]);
+
+    // Fetches the live queue position of every pending query
+    const fetchQueuePositions = useCallback(async () => {
+        try {
+            const response = await axios.get(`${API_URL}/api/student/queue`, {
+                headers: { 'x-auth-token': token }
+            });
+            setQueuePositions(Object.fromEntries(response.data.map(entry => [entry.queryId, entry])));
+        } catch (error) {
+            console.error("Could not fetch queue positions:", error);
+        }
+    }, [token]);
 
-        socket.on('statusUpdate', (updatedTeachers) => setTeachers(updatedTeachers));
-        return () => socket.off('statusUpdate');
+    useEffect(() => {
+        fetchQueuePositions();
+    }, [fetchQueuePositions]);
+
+    // Fetches the student's upcoming booked appointments
+    const fetchAppointments = useCallback(async () => {
+        try {
+            const response = await axios.get(`${API_URL}/api/student/appointments`, {
+                headers: { 'x-auth-token': token }
+            });
+            setAppointments(response.data.appointments);
+            setCancelWindowHours(response.data.cancelWindowHours);
+        } catch (error) {
+            console.error("Could not fetch appointments:", error);
+        }
+    }, [token]);
+
+    useEffect(() => {
+        fetchAppointments();
+    }, [fetchAppointments]);
+
+    // Bookings and cancellations (including by the teacher) arrive over the socket
+    const upsertAppointment = useCallback((appointment) => {
+        setAppointments(prev => {
+            const others = prev.filter(a => a._id !== appointment._id);
+            if (appointment.status !== 'booked') return others;
+            return [...others, appointment].sort((a, b) => new Date(a.start) - new Date(b.start));
+        });
+    }, []);
+
+    useEffect(() => {
+        socket.on('appointmentUpdated', upsertAppointment);
+        return () => socket.off('appointmentUpdated', upsertAppointment);
+    }, [upsertAppointment]);
+
+    // The server pushes a fresh position whenever a teacher's queue moves
+    useEffect(() => {
+        const handleQueuePosition = (entry) => {
+            setQueuePositions(prev => ({ ...prev, [entry.queryId]: entry }));
+        };
+        socket.on('queuePosition', handleQueuePosition);
+        return () => socket.off('queuePosition', handleQueuePosition);
     }, []);
 
+    // Reload from the first page whenever the status filter changes
+    useEffect(() => {
+        fetchMyQueries(undefined, statusFilter);
+    }, [fetchMyQueries, statusFilter]);
+
+    // Open the authenticated socket; the server puts it in this student's private room.
+    // The token is read at every (re)connect, so the handshake always uses the newest one.
+    useEffect(() => {
+        socket.auth = (cb) => cb({ token: localStorage.getItem(TOKEN_KEY) });
+        socket.connect();
+
+        const handleConnectError = (err) => {
+            console.error("Socket connection error:", err.message);
+            if (err.message === 'Token has expired') {
+                refreshSession().then(() => socket.connect()).catch(onLogout);
+            } else if (err.message === 'Token is not valid' || err.message === 'No token, authorization denied') {
+                onLogout();
+            }
+        };
+        socket.on('connect_error', handleConnectError);
+        return () => {
+            socket.off('connect_error', handleConnectError);
+            socket.disconnect();
+        };
+    }, [token, onLogout]);
+
+    // Events emitted while disconnected are lost, so resync on every connection after the first
+    // (including ones made by hand after refreshing an expired token)
+    const hasConnectedRef = useRef(false);
+    useEffect(() => {
+        const handleConnect = () => {
+            if (!hasConnectedRef.current) {
+                hasConnectedRef.current = true;
+                return;
+            }
+            fetchMyQueries(undefined, statusFilter);
+            fetchQueuePositions();
+            fetchAppointments();
+            fetchAvailableTeachers();
+        };
+        socket.on('connect', handleConnect);
+        return () => socket.off('connect', handleConnect);
+    }, [fetchMyQueries, fetchQueuePositions, fetchAppointments, fetchAvailableTeachers, statusFilter]);
+
     // Effect to listen for updates to your own queries
     useEffect(() => {
         const handleQueryUpdate = (updatedQuery) => {
-            setMyQueries(prevQueries => {
-                const newQueries = prevQueries.map(q => q._id === updatedQuery._id ? updatedQuery : q);
-                localStorage.setItem(`studentQueries_${student.id}`, JSON.stringify(newQueries));
-                return newQueries;
-            });
+            setMyQueries(prevQueries => prevQueries.map(q => q._id === updatedQuery._id ? updatedQuery : q));
         };
         socket.on('queryUpdated', handleQueryUpdate);
         return () => socket.off('queryUpdated', handleQueryUpdate);
-    }, [student.id]);
+    }, []);
 
     const addMyQuery = (newQuery) => {
-        setMyQueries(prevQueries => {
-            const updatedQueries = [newQuery, ...prevQueries];
-            localStorage.setItem(`studentQueries_${student.id}`, JSON.stringify(updatedQueries));
-            return updatedQueries;
-        });
+        if (statusFilter && !statusFilter.split(',').includes(newQuery.status)) return;
+        setMyQueries(prevQueries => [newQuery, ...prevQueries]);
     };
 
+    // A teacher calling this student is surfaced prominently until the session starts
+    const calledQuery = myQueries.find(q => q.status === 'called');
+    const callingTeacher = calledQuery && teachers[calledQuery.teacher];
+
+    // Appointments and calls can name teachers who aren't available, so look those up by id
+    const missingTeacherIds = [...new Set([...appointments.map(a => a.teacher), calledQuery?.teacher])]
+        .filter(id => id && !teachers[id])
+        .sort()
+        .join(',');
+    useEffect(() => {
+        if (!missingTeacherIds) return;
+        axios.get(`${API_URL}/api/teachers`, {
+            headers: { 'x-auth-token': token },
+            params: { ids: missingTeacherIds, limit: TEACHER_LOOKUP_LIMIT }
+        })
+            .then(response => setTeachers(prev => ({ ...prev, ...Object.fromEntries(response.data.teachers.map(t => [t._id, t])) })))
+            .catch(error => console.error("Could not fetch teachers:", error));
+    }, [missingTeacherIds, token]);
+
     return (
         <div className="student-dashboard-container">
             <header className="dashboard-header">
                 <div className="header-content">
                     <h1 className="header-title">Student Dashboard</h1>
                     <p className="header-subtitle">Welcome, {student.name}!</p>
-                <button onClick={onLogout} className="logout-button-student">Logout</button>
+                    <div className="header-actions">
+                        <button onClick={() => setShowSessions(!showSessions)} className="btn-secondary">
+                            {showSessions ? 'Hide Devices' : 'Devices'}
+                        </button>
+                        <button onClick={onLogout} className="logout-button-student">Logout</button>
+                    </div>
                 </div>
             </header>
             <main>
                 <div className="main-content">
+                    {showSessions && <ActiveSessions token={token} onLogout={onLogout} />}
+                    {calledQuery && (
+                        <div className="call-banner" role="alert">
+                            <strong>It's your turn!</strong>{' '}
+                            {callingTeacher
+                                ? `${callingTeacher.name} is ready for you${callingTeacher.roomno ? ` in room ${callingTeacher.roomno}` : ''}.`
+                                : 'Your teacher is ready for you.'}
+                        </div>
+                    )}
                     <div className="student-actions-grid">
                         <QueryForm
-                            availableTeachers={teachers.filter(t => t.isAvailable)}
+                            availableTeachers={Object.values(teachers).filter(t => t.isAvailable).sort((a, b) => a.name.localeCompare(b.name))}
                             onQuerySubmit={addMyQuery}
-                            studentName={student.name}
+                            token={token}
+                        />
+                        <MyQueries
+                            queries={myQueries}
+                            queuePositions={queuePositions}
+                            token={token}
+                            isLoading={isLoadingQueries}
+                            statusFilter={statusFilter}
+                            onStatusFilterChange={setStatusFilter}
+                            hasMore={hasMoreQueries}
+                            onLoadMore={() => fetchMyQueries(myQueries[myQueries.length - 1]?._id, statusFilter)}
+                        />
+                        <AppointmentForm
+                            onBooked={upsertAppointment}
+                            token={token}
+                        />
+                        <MyAppointments
+                            appointments={appointments}
+                            teachers={teachers}
+                            cancelWindowHours={cancelWindowHours}
+                            token={token}
                         />
-                        <MyQueries queries={myQueries} />
                     </div>
 
-                    <h2 className="section-title">All Teachers</h2>
-                    {isLoading ? (
-                        <p className="loading-text">Loading teacher statuses...</p>
-                    ) : (
-                        <div className="teachers-grid">
-                            {teachers.map((teacher) => (
-                                <TeacherCard key={teacher._id} teacher={teacher} />
-                            ))}
-                        </div>
-                    )}
+                    <TeacherDirectory token={token} />
                 </div>
             </main>
         </div>
     );
 }
 
+// Labels for the teacher's availability status; 'available' and 'online_only' can take queries
+const STATUS_LABELS = {
+    available: 'Available',
+    online_only: 'Available online only',
+    in_class: 'In class',
+    in_meeting: 'In a meeting',
+    away: 'Be right back',
+    unavailable: 'Not Available'
+};
+
+// --- Helper function to describe an office-hours window, e.g. "Tue 14:00–15:00" ---
+const formatSlot = ({ start, end }) => {
+    const startDate = new Date(start);
+    const endDate = new Date(end);
+    const timeOptions = { hour: '2-digit', minute: '2-digit', hour12: false };
+    const isToday = startDate.toDateString() === new Date().toDateString();
+    const day = isToday ? 'Today' : startDate.toLocaleDateString('en-US', { weekday: 'short' });
+    return `${day} ${startDate.toLocaleTimeString('en-GB', timeOptions)}\u2013${endDate.toLocaleTimeString('en-GB', timeOptions)}`;
+};
+
+// --- Helper function to name a device from its user agent, e.g. "Firefox on Windows" ---
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const PLATFORMS = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+const describeDevice = (userAgent = '') => {
+    const browser = BROWSERS.find(([marker]) => userAgent.includes(marker))?.[1] || 'Unknown browser';
+    const platform = PLATFORMS.find(([marker]) => userAgent.includes(marker))?.[1] || 'unknown device';
+    return `${browser} on ${platform}`;
+};
+
+// --- Active Sessions Component: every signed-in device, with remote logout ---
+function ActiveSessions({ token, onLogout }) {
+    const [sessions, setSessions] = useState([]);
+    const [error, setError] = useState('');
+
+    const fetchSessions = useCallback(async () => {
+        try {
+            const response = await axios.get(`${API_URL}/api/student/auth/sessions`, {
+                headers: { 'x-auth-token': token }
+            });
+            setSessions(response.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not load your sessions.');
+        }
+    }, [token]);
+
+    useEffect(() => {
+        fetchSessions();
+    }, [fetchSessions]);
+
+    const handleEndSession = async (sessionId) => {
+        setError('');
+        try {
+            await axios.delete(`${API_URL}/api/student/auth/sessions/${sessionId}`, {
+                headers: { 'x-auth-token': token }
+            });
+            fetchSessions();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not end that session.');
+        }
+    };
+
+    const handleLogoutAll = async () => {
+        if (!window.confirm('Log out of every device, including this one?')) return;
+        setError('');
+        try {
+            await axios.post(`${API_URL}/api/student/auth/logout-all`, {}, {
+                headers: { 'x-auth-token': token }
+            });
+            onLogout();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not log out of all devices.');
+        }
+    };
+
+    return (
+        <div className="form-card sessions-card">
+            <h3 className="form-card-title">Signed-in Devices</h3>
+            {error && <p className="form-error">{error}</p>}
+            <ul className="session-list">
+                {sessions.map(session => (
+                    <li key={session._id} className="session-item">
+                        <div>
+                            <p className="session-device">
+                                {describeDevice(session.userAgent)}
+                                {session.current && <span className="session-current">This device</span>}
+                            </p>
+                            <p className="session-meta">
+                                Last active {new Date(session.lastUsedAt).toLocaleString()}{session.ip && ` \u00b7 ${session.ip}`}
+                            </p>
+                        </div>
+                        {!session.current && (
+                            <div className="query-edit-buttons">
+                                <button onClick={() => handleEndSession(session._id)} className="btn-withdraw">Log out</button>
+                            </div>
+                        )}
+                    </li>
+                ))}
+            </ul>
+            <div className="query-edit-buttons">
+                <button onClick={handleLogoutAll} className="btn-withdraw">Log out of all devices</button>
+            </div>
+        </div>
+    );
+}
+
+// --- Teacher Directory Component: searchable, filterable, paginated teacher grid ---
+const DIRECTORY_PAGE_SIZE = 12;
+const SEARCH_DEBOUNCE_MS = 300;
+const TEACHER_LOOKUP_LIMIT = 100; // The largest page the server returns
+
+function TeacherDirectory({ token }) {
+    const [search, setSearch] = useState('');
+    const [filters, setFilters] = useState({ department: '', subject: '', available: false });
+    const [options, setOptions] = useState({ departments: [], subjects: [] });
+    const [results, setResults] = useState([]);
+    const [page, setPage] = useState(1);
+    const [totalPages, setTotalPages] = useState(0);
+    const [total, setTotal] = useState(0);
+    const [isLoading, setIsLoading] = useState(true);
+    const [reloadCount, setReloadCount] = useState(0);
+
+    useEffect(() => {
+        axios.get(`${API_URL}/api/teachers/filters`, { headers: { 'x-auth-token': token } })
+            .then(response => setOptions(response.data))
+            .catch(error => console.error("Could not fetch directory filters:", error));
+    }, [token]);
+
+    // Any change to the search or filters starts again from the first page
+    useEffect(() => {
+        setPage(1);
+    }, [search, filters]);
+
+    useEffect(() => {
+        const fetchTeachers = async () => {
+            setIsLoading(true);
+            try {
+                const response = await axios.get(`${API_URL}/api/teachers`, {
+                    headers: { 'x-auth-token': token },
+                    params: {
+                        q: search.trim() || undefined,
+                        department: filters.department || undefined,
+                        subject: filters.subject || undefined,
+                        available: filters.available ? 'true' : undefined,
+                        page,
+                        limit: DIRECTORY_PAGE_SIZE
+                    }
+                });
+                setResults(response.data.teachers);
+                setTotalPages(response.data.totalPages);
+                setTotal(response.data.total);
+            } catch (error) {
+                console.error("Could not fetch teachers:", error);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+        // Wait for a pause in typing before searching
+        const timer = setTimeout(fetchTeachers, SEARCH_DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [token, search, filters, page, reloadCount]);
+
+    // Statuses change between searches, so patch each change into the page being shown
+    useEffect(() => {
+        const handleStatusUpdate = (teacher) => {
+            setResults(prev => teacher.isActive === false
+                ? prev.filter(t => t._id !== teacher._id)
+                : prev.map(t => t._id === teacher._id ? teacher : t));
+        };
+        socket.on('statusUpdate', handleStatusUpdate);
+        return () => socket.off('statusUpdate', handleStatusUpdate);
+    }, []);
+
+    // Changes made while disconnected were missed, so reload the page on every later connect
+    useEffect(() => {
+        let isResync = socket.connected;
+        const handleConnect = () => {
+            if (isResync) setReloadCount(count => count + 1);
+            isResync = true;
+        };
+        socket.on('connect', handleConnect);
+        return () => socket.off('connect', handleConnect);
+    }, []);
+
+    const shownTeachers = results.filter(t => !filters.available || t.isAvailable);
+
+    return (
+        <section className="directory">
+            <div className="directory-header">
+                <h2 className="section-title">Teachers</h2>
+                {!isLoading && <span className="directory-count">{total} found</span>}
+            </div>
+            <div className="directory-controls">
+                <input
+                    type="search"
+                    value={search}
+                    onChange={e => setSearch(e.target.value)}
+                    placeholder="Search by name, department or subject..."
+                    aria-label="Search teachers"
+                    className="directory-search"
+                />
+                <select
+                    value={filters.department}
+                    onChange={e => setFilters({ ...filters, department: e.target.value })}
+                    aria-label="Filter by department"
+                    className="my-queries-filter"
+                >
+                    <option value="">All departments</option>
+                    {options.departments.map(d => <option key={d} value={d}>{d}</option>)}
+                </select>
+                <select
+                    value={filters.subject}
+                    onChange={e => setFilters({ ...filters, subject: e.target.value })}
+                    aria-label="Filter by subject"
+                    className="my-queries-filter"
+                >
+                    <option value="">All subjects</option>
+                    {options.subjects.map(sub => <option key={sub} value={sub}>{sub}</option>)}
+                </select>
+                <label className="available-toggle">
+                    <input
+                        type="checkbox"
+                        checked={filters.available}
+                        onChange={e => setFilters({ ...filters, available: e.target.checked })}
+                    />
+                    Available now
+                </label>
+            </div>
+            {isLoading && results.length === 0 ? (
+                <p className="loading-text">Loading teachers...</p>
+            ) : shownTeachers.length === 0 ? (
+                <p className="loading-text">No teachers match your search.</p>
+            ) : (
+                <div className="teachers-grid">
+                    {shownTeachers.map((teacher) => (
+                        <TeacherCard key={teacher._id} teacher={teacher} token={token} />
+                    ))}
+                </div>
+            )}
+            {totalPages > 1 && (
+                <div className="directory-pagination">
+                    <button onClick={() => setPage(page - 1)} disabled={page <= 1 || isLoading} className="load-more-btn">Previous</button>
+                    <span>Page {page} of {totalPages}</span>
+                    <button onClick={() => setPage(page + 1)} disabled={page >= totalPages || isLoading} className="load-more-btn">Next</button>
+                </div>
+            )}
+        </section>
+    );
+}
+
+// --- Teacher Avatar Component: avatars sit behind auth, so they're fetched as blobs like attachments ---
+function TeacherAvatar({ teacher, token }) {
+    const [imageUrl, setImageUrl] = useState(null);
+    const version = teacher.avatar?.updatedAt ? new Date(teacher.avatar.updatedAt).getTime() : null;
+
+    useEffect(() => {
+        if (!version) return;
+        let objectUrl = null;
+        let isCancelled = false;
+        axios.get(`${API_URL}/api/teachers/${teacher._id}/avatar?v=${version}`, {
+            headers: { 'x-auth-token': token },
+            responseType: 'blob'
+        })
+            .then(response => {
+                if (isCancelled) return;
+                objectUrl = URL.createObjectURL(response.data);
+                setImageUrl(objectUrl);
+            })
+            .catch(err => console.error("Could not load avatar:", err));
+        return () => {
+            isCancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+            setImageUrl(null);
+        };
+    }, [teacher._id, version, token]);
+
+    if (imageUrl) return <img src={imageUrl} alt="" className="teacher-avatar" />;
+    return <div className="teacher-avatar avatar-placeholder">{teacher.name.charAt(0).toUpperCase()}</div>;
+}
+
 // --- Teacher Card Component ---
-function TeacherCard({ teacher }) {
+function TeacherCard({ teacher, token }) {
     return (
         <div className="teacher-card">
             <div className="card-content">
                 <div className="card-header">
                     <div className={`status-indicator ${teacher.isAvailable ? 'available' : 'unavailable'}`}></div>
+                    <TeacherAvatar teacher={teacher} token={token} />
                     <div className="teacher-info">
                         <h3 className="teacher-name">{teacher.name}</h3>
-                        <p className="teacher-detail">{teacher.email}</p>
-                        <p className="teacher-detail"><strong>Room:</strong> {teacher.roomno}</p>
-                        <p className="teacher-detail"><strong>Phone:</strong> {teacher.phone}</p>
+                        {(teacher.designation || teacher.department) && (
+                            <p className="teacher-role">
+                                {[teacher.designation, teacher.department].filter(Boolean).join(', ')}
+                            </p>
+                        )}
+                        {/* Contact details are only sent when the teacher has chosen to share them */}
+                        {teacher.email && <p className="teacher-detail">{teacher.email}</p>}
+                        {teacher.roomno && <p className="teacher-detail"><strong>Room:</strong> {teacher.roomno}</p>}
+                        {teacher.phone && <p className="teacher-detail"><strong>Phone:</strong> {teacher.phone}</p>}
                     </div>
                 </div>
+                {teacher.subjects?.length > 0 && (
+                    <div className="subject-tags">
+                        {teacher.subjects.map(subject => <span key={subject} className="subject-tag">{subject}</span>)}
+                    </div>
+                )}
                 <div className="card-footer">
-                    <span className={`status-pill ${teacher.isAvailable ? 'pill-available' : 'pill-unavailable'}`}>
-                        {teacher.isAvailable ? 'Available' : 'Not Available'}
+                    <span className={`status-pill pill-${teacher.availabilityStatus}`}>
+                        {STATUS_LABELS[teacher.availabilityStatus]}
+                        {teacher.statusExpiresAt && ` until ${new Date(teacher.statusExpiresAt).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })}`}
                     </span>
+                    {teacher.statusMessage && <p className="status-message">{teacher.statusMessage}</p>}
+                    {!teacher.isAvailable && teacher.nextAvailable && (
+                        <p className="next-available">Next available: {formatSlot(teacher.nextAvailable)}</p>
+                    )}
                 </div>
             </div>
         </div>
@@ -274,11 +985,13 @@ function TeacherCard({ teacher }) {
 }
 
 // --- Query Form Component ---
-function QueryForm({ availableTeachers, onQuerySubmit, studentName }) {
+function QueryForm({ availableTeachers, onQuerySubmit, token }) {
     const [queryText, setQueryText] = useState('');
     const [teacherId, setTeacherId] = useState('');
+    const [files, setFiles] = useState([]);
     const [error, setError] = useState('');
     const [success, setSuccess] = useState('');
+    const fileInputRef = useRef(null);
 
     useEffect(() => {
         if (teacherId && !availableTeachers.find(t => t._id === teacherId)) {
@@ -294,19 +1007,27 @@ function QueryForm({ availableTeachers, onQuerySubmit, studentName }) {
             setError('Please select a teacher and write your query.');
             return;
         }
+        const attachmentError = checkAttachments(files);
+        if (attachmentError) {
+            setError(attachmentError);
+            return;
+        }
         try {
-            const response = await axios.post(`${API_URL}/api/queries`, {
-                studentName, // Use name from logged-in student
+            const response = await axios.post(`${API_URL}/api/queries`, toRequestBody({
                 queryText,
                 teacherId
+            }, files), {
+                headers: { 'x-auth-token': token }
             });
             onQuerySubmit(response.data);
             setSuccess('Your query has been sent!');
             setQueryText('');
             setTeacherId('');
+            setFiles([]);
+            fileInputRef.current.value = '';
             setTimeout(() => setSuccess(''), 3000);
         } catch (err) {
-            setError('Failed to send query. Please try again.');
+            setError(err.response?.data?.message || 'Failed to send query. Please try again.');
         }
     };
 
@@ -325,6 +1046,18 @@ function QueryForm({ availableTeachers, onQuerySubmit, studentName }) {
                     <label htmlFor="queryText">Your Query</label>
                     <textarea id="queryText" value={queryText} onChange={e => setQueryText(e.target.value)} rows="4" placeholder="What is your question?" required></textarea>
                 </div>
+                <div className="form-group">
+                    <label htmlFor="queryAttachments">Attachments (optional)</label>
+                    <input
+                        id="queryAttachments"
+                        type="file"
+                        ref={fileInputRef}
+                        accept={ATTACHMENT_TYPES.join(',')}
+                        multiple
+                        onChange={e => setFiles(Array.from(e.target.files))}
+                    />
+                    <p className="field-hint">Screenshots or PDFs, up to {MAX_ATTACHMENTS} files of {MAX_ATTACHMENT_MB} MB each.</p>
+                </div>
                 {error && <p className="form-error">{error}</p>}
                 {success && <p className="form-success">{success}</p>}
                 <button type="submit" className="form-submit-btn" disabled={availableTeachers.length === 0}>
@@ -335,58 +1068,690 @@ function QueryForm({ availableTeachers, onQuerySubmit, studentName }) {
     );
 }
 
+// --- Helper function to describe a queue entry's estimated wait in words ---
+const formatWait = ({ position, estimatedWaitSeconds: seconds }) => {
+    if (position === 1) return "You're next";
+    if (seconds === null || seconds === undefined) return 'Estimating wait...';
+    if (seconds < 60) return 'Under a minute';
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `~${minutes} min wait`;
+    const hours = Math.floor(minutes / 60);
+    return `~${hours}h ${minutes % 60}m wait`;
+};
+
 // --- My Queries Component ---
-function MyQueries({ queries }) {
-    const handleResolve = async (queryId, resolution) => {
+function MyQueries({ queries, queuePositions, token, isLoading, statusFilter, onStatusFilterChange, hasMore, onLoadMore }) {
+    const [editingId, setEditingId] = useState(null);
+    const [editText, setEditText] = useState('');
+    const [ratingId, setRatingId] = useState(null); // Query whose feedback form is open
+    const [openThreadId, setOpenThreadId] = useState(null); // Query whose conversation is expanded
+    const [unreadThreads, setUnreadThreads] = useState([]); // Queries with teacher messages not yet seen
+
+    // Flag teacher replies on conversations that are collapsed
+    useEffect(() => {
+        const handleQueryMessage = (message) => {
+            if (message.senderRole !== 'teacher' || message.query === openThreadId) return;
+            setUnreadThreads(prev => prev.includes(message.query) ? prev : [...prev, message.query]);
+        };
+        socket.on('queryMessage', handleQueryMessage);
+        return () => socket.off('queryMessage', handleQueryMessage);
+    }, [openThreadId]);
+
+    const toggleThread = (queryId) => {
+        setOpenThreadId(prev => prev === queryId ? null : queryId);
+        setUnreadThreads(prev => prev.filter(id => id !== queryId));
+    };
+
+    const startEditing = (query) => {
+        setEditingId(query._id);
+        setEditText(query.queryText);
+    };
+
+    // Edits and cancellations come back through the 'queryUpdated' socket event
+    const handleSaveEdit = async (queryId) => {
         try {
-            await axios.put(`${API_URL}/api/queries/${queryId}/resolve`, { resolution });
+            await axios.put(`${API_URL}/api/queries/${queryId}`, { queryText: editText }, {
+                headers: { 'x-auth-token': token }
+            });
+            setEditingId(null);
         } catch (error) {
-            console.error("Failed to resolve query", error);
-            alert("Could not submit feedback. Please try again.");
+            console.error("Failed to edit query", error);
+            alert(error.response?.data?.message || "Could not update your query. Please try again.");
+        }
+    };
+
+    const handleCancelQuery = async (queryId) => {
+        if (!window.confirm("Withdraw this query? The teacher will no longer see it.")) return;
+        try {
+            await axios.delete(`${API_URL}/api/queries/${queryId}`, {
+                headers: { 'x-auth-token': token }
+            });
+        } catch (error) {
+            console.error("Failed to cancel query", error);
+            alert(error.response?.data?.message || "Could not cancel your query. Please try again.");
         }
     };
 
     const getStatusInfo = (query) => {
+        if (query.feedback) {
+            return { text: `Rated ${query.feedback.rating}/5`, className: 'status-rated' };
+        }
+        // Queries closed before ratings existed keep their satisfied / not satisfied outcome
         if (query.resolution) {
             return {
                 text: `Resolved: ${query.resolution.replace('_', ' ')}`,
                 className: `status-res-${query.resolution}`
             };
         }
-        if (query.status === 'ended') {
-            return { text: 'Awaiting Feedback', className: 'status-ended' };
+        switch (query.status) {
+            case 'called':
+                return { text: "It's your turn!", className: 'status-called' };
+            case 'in_session':
+                return { text: 'In Session', className: 'status-in_session' };
+            case 'ended':
+                return { text: 'Awaiting Feedback', className: 'status-ended' };
+            case 'no_show':
+                return { text: 'Missed Turn', className: 'status-no_show' };
+            case 'cancelled':
+                return { text: 'Cancelled', className: 'status-cancelled' };
+            default:
+                return { text: 'Pending', className: 'status-pending' };
         }
-        return { text: 'Pending', className: 'status-pending' };
     };
 
     return (
         <div className="my-queries-card">
-            <h3 className="form-card-title">My Queries</h3>
+            <div className="my-queries-header">
+                <h3 className="form-card-title">My Queries</h3>
+                <select
+                    className="my-queries-filter"
+                    value={statusFilter}
+                    onChange={e => onStatusFilterChange(e.target.value)}
+                    aria-label="Filter queries by status"
+                >
+                    <option value="">All</option>
+                    <option value="pending">Pending</option>
+                    <option value="called,in_session">Active</option>
+                    <option value="ended">Ended</option>
+                    <option value="no_show,cancelled">Missed / Cancelled</option>
+                </select>
+            </div>
             <div className="my-queries-list">
                 {queries.length === 0 ? (
-                    <p className="no-queries-text">You haven't submitted any queries yet.</p>
+                    <p className="no-queries-text">
+                        {isLoading ? 'Loading your queries...' : "You haven't submitted any queries yet."}
+                    </p>
                 ) : (
                     queries.map(q => {
                         const status = getStatusInfo(q);
                         return (
                             <div key={q._id} className="my-query-item">
-                                <p className="my-query-text">{q.queryText}</p>
+                                {editingId === q._id ? (
+                                    <div className="form-group">
+                                        <textarea value={editText} onChange={e => setEditText(e.target.value)} rows="3" aria-label="Edit your query"></textarea>
+                                    </div>
+                                ) : (
+                                    <p className="my-query-text">{q.queryText}</p>
+                                )}
+                                <AttachmentList queryId={q._id} attachments={q.attachments} token={token} />
+                                {q.status === 'pending' && queuePositions[q._id] && (
+                                    <p className="queue-position">
+                                        Position <strong>{queuePositions[q._id].position}</strong> of {queuePositions[q._id].queueLength}
+                                        {' \u00b7 '}
+                                        {formatWait(queuePositions[q._id])}
+                                    </p>
+                                )}
                                 <div className="my-query-footer">
                                     <span className={`query-status-tag ${status.className}`}>
                                         {status.text}
                                     </span>
-                                    {q.status === 'ended' && !q.resolution && (
-                                        <div className="resolution-buttons">
-                                            <button onClick={() => handleResolve(q._id, 'satisfied')} className="btn-satisfied">Satisfied</button>
-                                            <button onClick={() => handleResolve(q._id, 'not_satisfied')} className="btn-not-satisfied">Not Satisfied</button>
+                                    {q.status === 'pending' && (
+                                        <div className="query-edit-buttons">
+                                            {editingId === q._id ? (
+                                                <>
+                                                    <button onClick={() => handleSaveEdit(q._id)} className="btn-save" disabled={!editText.trim()}>Save</button>
+                                                    <button onClick={() => setEditingId(null)} className="btn-secondary">Discard</button>
+                                                </>
+                                            ) : (
+                                                <>
+                                                    <button onClick={() => startEditing(q)} className="btn-secondary">Edit</button>
+                                                    <button onClick={() => handleCancelQuery(q._id)} className="btn-withdraw">Withdraw</button>
+                                                </>
+                                            )}
                                         </div>
                                     )}
+                                    {q.status === 'ended' && !q.feedback && !q.resolution && ratingId !== q._id && (
+                                        <button onClick={() => setRatingId(q._id)} className="btn-rate">Rate this session</button>
+                                    )}
                                 </div>
+                                {ratingId === q._id && (
+                                    <FeedbackForm queryId={q._id} token={token} onClose={() => setRatingId(null)} />
+                                )}
+                                {q.feedback && (q.feedback.comment || q.feedback.tags.length > 0) && (
+                                    <p className="feedback-summary">
+                                        {q.feedback.tags.map(tag => FEEDBACK_TAG_LABELS[tag]).join(' \u00b7 ')}
+                                        {q.feedback.tags.length > 0 && q.feedback.comment && ' \u2014 '}
+                                        {q.feedback.comment && `\u201c${q.feedback.comment}\u201d`}
+                                    </p>
+                                )}
+                                <button onClick={() => toggleThread(q._id)} className="thread-toggle">
+                                    {openThreadId === q._id ? 'Hide messages' : 'Messages'}
+                                    {unreadThreads.includes(q._id) && <span className="unread-dot" aria-label="New messages" />}
+                                </button>
+                                {openThreadId === q._id && (
+                                    <QueryThread queryId={q._id} token={token} canReply={q.status !== 'cancelled'} />
+                                )}
                             </div>
                         )
                     })
                 )}
+                {hasMore && (
+                    <button onClick={onLoadMore} className="load-more-btn" disabled={isLoading}>
+                        {isLoading ? 'Loading...' : 'Load More'}
+                    </button>
+                )}
             </div>
         </div>
     );
-}
\ No newline at end of file
+}
+
+// --- Attachment limits, mirroring the server's checks so problems show up before uploading ---
+const ATTACHMENT_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf'];
+const MAX_ATTACHMENTS = 3;
+const MAX_ATTACHMENT_MB = 5;
+
+// Returns an error message for a file selection, or '' if it's acceptable
+const checkAttachments = (files) => {
+    if (files.length > MAX_ATTACHMENTS) return `You can attach at most ${MAX_ATTACHMENTS} files.`;
+    if (files.some(file => !ATTACHMENT_TYPES.includes(file.type))) return 'Only PNG, JPEG, GIF, WebP images and PDFs can be attached.';
+    if (files.some(file => file.size > MAX_ATTACHMENT_MB * 1024 * 1024)) return `Each attachment must be ${MAX_ATTACHMENT_MB} MB or smaller.`;
+    return '';
+};
+
+// Multipart only when there are files, so plain submissions stay JSON
+const toRequestBody = (fields, files) => {
+    if (files.length === 0) return fields;
+    const formData = new FormData();
+    Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+    files.forEach(file => formData.append('attachments', file));
+    return formData;
+};
+
+// --- Helper: save a binary API response as a file download ---
+// The URL is revoked a moment later; revoking straight after click() can cancel the download.
+const saveBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const fetchAttachment = (queryId, attachmentId, token) =>
+    axios.get(`${API_URL}/api/queries/${queryId}/attachments/${attachmentId}`, {
+        headers: { 'x-auth-token': token },
+        responseType: 'blob'
+    });
+
+// --- Attachment Component: files sit behind auth, so they're fetched as blobs instead of linked ---
+// Images load straight away as thumbnails; PDFs are only downloaded when clicked.
+function Attachment({ queryId, attachment, token }) {
+    const [imageUrl, setImageUrl] = useState(null);
+    const isImage = attachment.mimeType.startsWith('image/');
+
+    useEffect(() => {
+        if (!isImage) return;
+        let objectUrl = null;
+        let isCancelled = false;
+        fetchAttachment(queryId, attachment._id, token)
+            .then(response => {
+                if (isCancelled) return;
+                objectUrl = URL.createObjectURL(response.data);
+                setImageUrl(objectUrl);
+            })
+            .catch(err => console.error("Could not load attachment:", err));
+        return () => {
+            isCancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [queryId, attachment._id, token, isImage]);
+
+    const handleDownload = async () => {
+        try {
+            const response = await fetchAttachment(queryId, attachment._id, token);
+            saveBlob(response.data, attachment.originalName);
+        } catch (err) {
+            console.error("Could not download attachment:", err);
+        }
+    };
+
+    if (isImage) {
+        return (
+            <a href={imageUrl || undefined} target="_blank" rel="noopener noreferrer" className="attachment" title={attachment.originalName}>
+                {imageUrl ? <img src={imageUrl} alt={attachment.originalName} className="attachment-thumb" /> : <span className="attachment-file">Loading...</span>}
+            </a>
+        );
+    }
+    return (
+        <button type="button" onClick={handleDownload} className="attachment attachment-file" title={`Download ${attachment.originalName}`}>
+            PDF &middot; {attachment.originalName}
+        </button>
+    );
+}
+
+function AttachmentList({ queryId, attachments, token }) {
+    if (!attachments?.length) return null;
+    return (
+        <div className="attachment-list">
+            {attachments.map(attachment => (
+                <Attachment key={attachment._id} queryId={queryId} attachment={attachment} token={token} />
+            ))}
+        </div>
+    );
+}
+
+// --- Helper: render message text with any web links made clickable ---
+const LINK_PATTERN = /(https?:\/\/[^\s]+)/g;
+const linkify = (text) => text.split(LINK_PATTERN).map((part, i) =>
+    i % 2 === 1 ? <a key={i} href={part} target="_blank" rel="noopener noreferrer">{part}</a> : part
+);
+
+// --- Query Thread Component: follow-up conversation with the teacher ---
+function QueryThread({ queryId, token, canReply }) {
+    const [messages, setMessages] = useState([]);
+    const [text, setText] = useState('');
+    const [files, setFiles] = useState([]);
+    const [error, setError] = useState('');
+    const [isSending, setIsSending] = useState(false);
+    const fileInputRef = useRef(null);
+
+    // Our own messages arrive both in the POST response and over the socket, so merge by id
+    const addMessage = (message) => {
+        setMessages(prev => prev.some(m => m._id === message._id) ? prev : [...prev, message]);
+    };
+
+    useEffect(() => {
+        const fetchMessages = async () => {
+            try {
+                const response = await axios.get(`${API_URL}/api/queries/${queryId}/messages`, {
+                    headers: { 'x-auth-token': token }
+                });
+                setMessages(response.data);
+            } catch (err) {
+                setError(err.response?.data?.message || 'Could not load messages.');
+            }
+        };
+        fetchMessages();
+
+        const handleQueryMessage = (message) => {
+            if (message.query === queryId) addMessage(message);
+        };
+        socket.on('queryMessage', handleQueryMessage);
+        return () => socket.off('queryMessage', handleQueryMessage);
+    }, [queryId, token]);
+
+    const handleSend = async (e) => {
+        e.preventDefault();
+        if (!text.trim() && files.length === 0) return;
+        const attachmentError = checkAttachments(files);
+        if (attachmentError) {
+            setError(attachmentError);
+            return;
+        }
+        setError('');
+        setIsSending(true);
+        try {
+            const response = await axios.post(`${API_URL}/api/queries/${queryId}/messages`, toRequestBody({ text }, files), {
+                headers: { 'x-auth-token': token }
+            });
+            addMessage(response.data);
+            setText('');
+            setFiles([]);
+            fileInputRef.current.value = '';
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not send message.');
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    return (
+        <div className="thread">
+            {messages.length > 0 ? (
+                <ul className="thread-messages">
+                    {messages.map(message => (
+                        <li key={message._id} className={`thread-message ${message.senderRole === 'student' ? 'thread-mine' : ''}`}>
+                            <span className="thread-meta">
+                                {message.senderRole === 'student' ? 'You' : message.senderName} &middot;{' '}
+                                {new Date(message.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                            </span>
+                            {message.text && <p className="thread-text">{linkify(message.text)}</p>}
+                            <AttachmentList queryId={queryId} attachments={message.attachments} token={token} />
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="thread-empty">No messages yet.</p>
+            )}
+            {error && <p className="form-error">{error}</p>}
+            {canReply && (
+                <form onSubmit={handleSend} className="thread-form">
+                    <input
+                        type="text"
+                        value={text}
+                        onChange={e => setText(e.target.value)}
+                        placeholder="Add detail or reply to your teacher..."
+                        maxLength={2000}
+                        aria-label="Message"
+                    />
+                    <label className="thread-attach" title="Attach images or PDFs">
+                        {files.length > 0 ? `${files.length} attached` : 'Attach'}
+                        <input
+                            type="file"
+                            ref={fileInputRef}
+                            accept={ATTACHMENT_TYPES.join(',')}
+                            multiple
+                            onChange={e => setFiles(Array.from(e.target.files))}
+                            hidden
+                        />
+                    </label>
+                    <button type="submit" className="btn-save" disabled={isSending || (!text.trim() && files.length === 0)}>
+                        Send
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+}
+
+// --- Feedback options; keys match the server's accepted tags ---
+const FEEDBACK_TAG_LABELS = {
+    explained_clearly: 'Explained clearly',
+    helpful_examples: 'Helpful examples',
+    patient: 'Patient',
+    ran_out_of_time: 'Ran out of time',
+    still_confused: 'Still confused',
+    hard_to_follow: 'Hard to follow'
+};
+const RATING_LABELS = ['Poor', 'Fair', 'Okay', 'Good', 'Excellent'];
+
+// --- Feedback Form Component: 1-5 rating with optional tags and comment ---
+// The saved feedback comes back through the 'queryUpdated' socket event
+function FeedbackForm({ queryId, token, onClose }) {
+    const [rating, setRating] = useState(0);
+    const [tags, setTags] = useState([]);
+    const [comment, setComment] = useState('');
+    const [error, setError] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const toggleTag = (tag) => {
+        setTags(prev => prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!rating) {
+            setError('Please choose a rating.');
+            return;
+        }
+        setError('');
+        setIsSubmitting(true);
+        try {
+            await axios.put(`${API_URL}/api/queries/${queryId}/feedback`, { rating, tags, comment }, {
+                headers: { 'x-auth-token': token }
+            });
+            onClose();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not submit feedback. Please try again.');
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="feedback-form">
+            <div className="rating-stars" role="radiogroup" aria-label="Rating">
+                {RATING_LABELS.map((label, i) => (
+                    <button
+                        key={label}
+                        type="button"
+                        role="radio"
+                        aria-checked={rating === i + 1}
+                        aria-label={`${i + 1} - ${label}`}
+                        title={label}
+                        onClick={() => setRating(i + 1)}
+                        className={`rating-star ${i < rating ? 'rating-star-on' : ''}`}
+                    >
+                        &#9733;
+                    </button>
+                ))}
+                {rating > 0 && <span className="rating-label">{RATING_LABELS[rating - 1]}</span>}
+            </div>
+            <div className="feedback-tags">
+                {Object.entries(FEEDBACK_TAG_LABELS).map(([tag, label]) => (
+                    <button
+                        key={tag}
+                        type="button"
+                        onClick={() => toggleTag(tag)}
+                        className={`feedback-tag ${tags.includes(tag) ? 'feedback-tag-on' : ''}`}
+                        aria-pressed={tags.includes(tag)}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+            <textarea
+                value={comment}
+                onChange={e => setComment(e.target.value)}
+                rows="2"
+                maxLength={1000}
+                placeholder="Anything else? (optional)"
+                aria-label="Feedback comment"
+            ></textarea>
+            {error && <p className="form-error">{error}</p>}
+            <div className="query-edit-buttons">
+                <button type="submit" className="btn-save" disabled={isSubmitting}>
+                    {isSubmitting ? 'Sending...' : 'Submit Feedback'}
+                </button>
+                <button type="button" onClick={onClose} className="btn-secondary">Cancel</button>
+            </div>
+        </form>
+    );
+}
+
+// --- Helper function to get a local YYYY-MM-DD string for date inputs ---
+const toDateInputValue = (date) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// --- Appointment Form Component: book a fixed slot inside a teacher's office hours ---
+function AppointmentForm({ onBooked, token }) {
+    const [teacherSearch, setTeacherSearch] = useState('');
+    const [teacherOptions, setTeacherOptions] = useState([]);
+    const [teacherId, setTeacherId] = useState('');
+    const [date, setDate] = useState(() => toDateInputValue(new Date()));
+    const [slots, setSlots] = useState([]);
+    const [selectedStart, setSelectedStart] = useState('');
+    const [topic, setTopic] = useState('');
+    const [isLoadingSlots, setIsLoadingSlots] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    // Teachers to pick from, narrowed down as the student types a name
+    useEffect(() => {
+        const timer = setTimeout(async () => {
+            try {
+                const response = await axios.get(`${API_URL}/api/teachers`, {
+                    headers: { 'x-auth-token': token },
+                    params: { q: teacherSearch.trim() || undefined, limit: DIRECTORY_PAGE_SIZE }
+                });
+                setTeacherOptions(response.data.teachers);
+                setTeacherId(prev => response.data.teachers.some(t => t._id === prev) ? prev : '');
+            } catch (err) {
+                console.error("Could not fetch teachers:", err);
+            }
+        }, SEARCH_DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [teacherSearch, token]);
+
+    const fetchSlots = useCallback(async () => {
+        if (!teacherId || !date) {
+            setSlots([]);
+            return;
+        }
+        setIsLoadingSlots(true);
+        try {
+            const response = await axios.get(`${API_URL}/api/teachers/${teacherId}/appointment-slots`, {
+                headers: { 'x-auth-token': token },
+                params: { date }
+            });
+            setSlots(response.data.slots);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not load free slots.');
+        } finally {
+            setIsLoadingSlots(false);
+        }
+    }, [teacherId, date, token]);
+
+    useEffect(() => {
+        setSelectedStart('');
+        fetchSlots();
+    }, [fetchSlots]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+        if (!teacherId || !selectedStart) {
+            setError('Please choose a teacher and a time slot.');
+            return;
+        }
+        try {
+            const response = await axios.post(`${API_URL}/api/appointments`, {
+                teacherId,
+                start: selectedStart,
+                topic
+            }, {
+                headers: { 'x-auth-token': token }
+            });
+            onBooked(response.data);
+            setSuccess('Appointment booked!');
+            setSelectedStart('');
+            setTopic('');
+            setTimeout(() => setSuccess(''), 3000);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to book appointment. Please try again.');
+        }
+        fetchSlots(); // Refresh either way, the slot may have been taken meanwhile
+    };
+
+    const formatSlotTime = (iso) => new Date(iso).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+
+    return (
+        <div className="form-card">
+            <h3 className="form-card-title">Book an Appointment</h3>
+            <form onSubmit={handleSubmit}>
+                <div className="form-group">
+                    <label htmlFor="appointmentTeacher">Teacher</label>
+                    <input type="search" value={teacherSearch} onChange={e => setTeacherSearch(e.target.value)} placeholder="Search by name..." aria-label="Search teachers to book" className="teacher-search" />
+                    <select id="appointmentTeacher" value={teacherId} onChange={e => setTeacherId(e.target.value)} required>
+                        <option value="" disabled>-- Select a teacher --</option>
+                        {teacherOptions.map(t => <option key={t._id} value={t._id}>{t.name}</option>)}
+                    </select>
+                </div>
+                <div className="form-group">
+                    <label htmlFor="appointmentDate">Date</label>
+                    <input id="appointmentDate" type="date" value={date} min={toDateInputValue(new Date())} onChange={e => setDate(e.target.value)} required />
+                </div>
+                {teacherId && (
+                    <div className="form-group">
+                        <label>Free Slots</label>
+                        {isLoadingSlots ? (
+                            <p className="no-queries-text">Loading slots...</p>
+                        ) : slots.length > 0 ? (
+                            <div className="slot-grid">
+                                {slots.map(slot => (
+                                    <button
+                                        type="button"
+                                        key={slot.start}
+                                        onClick={() => setSelectedStart(slot.start)}
+                                        className={`slot-button ${selectedStart === slot.start ? 'slot-selected' : ''}`}
+                                    >
+                                        {formatSlotTime(slot.start)}
+                                    </button>
+                                ))}
+                            </div>
+                        ) : (
+                            <p className="no-queries-text">No free slots on this day.</p>
+                        )}
+                    </div>
+                )}
+                <div className="form-group">
+                    <label htmlFor="appointmentTopic">Topic (optional)</label>
+                    <input id="appointmentTopic" type="text" value={topic} onChange={e => setTopic(e.target.value)} placeholder="What would you like to discuss?" />
+                </div>
+                {error && <p className="form-error">{error}</p>}
+                {success && <p className="form-success">{success}</p>}
+                <button type="submit" className="form-submit-btn" disabled={!selectedStart}>
+                    Book Appointment
+                </button>
+            </form>
+        </div>
+    );
+}
+
+// --- My Appointments Component ---
+function MyAppointments({ appointments, teachers, cancelWindowHours, token }) {
+    const handleCancel = async (appointmentId) => {
+        if (!window.confirm("Cancel this appointment?")) return;
+        try {
+            await axios.delete(`${API_URL}/api/appointments/${appointmentId}`, {
+                headers: { 'x-auth-token': token }
+            });
+            // Removed from the list via the 'appointmentUpdated' socket event
+        } catch (error) {
+            console.error("Failed to cancel appointment", error);
+            alert(error.response?.data?.message || "Could not cancel the appointment. Please try again.");
+        }
+    };
+
+    // Students may only cancel until the cancellation window before the start
+    const canCancel = (appointment) =>
+        new Date(appointment.start).getTime() - Date.now() > cancelWindowHours * 60 * 60 * 1000;
+
+    return (
+        <div className="my-queries-card">
+            <h3 className="form-card-title">My Appointments</h3>
+            <div className="my-queries-list">
+                {appointments.length === 0 ? (
+                    <p className="no-queries-text">You have no upcoming appointments.</p>
+                ) : (
+                    appointments.map(a => {
+                        const teacher = teachers[a.teacher];
+                        return (
+                            <div key={a._id} className="my-query-item">
+                                <p className="my-query-text">
+                                    <strong>{formatSlot(a)}</strong> with {teacher ? `${teacher.name}${teacher.roomno ? ` (Room ${teacher.roomno})` : ''}` : 'your teacher'}
+                                </p>
+                                {a.topic && <p className="queue-position">{a.topic}</p>}
+                                <div className="my-query-footer">
+                                    <span className="query-status-tag status-ended">
+                                        {new Date(a.start).toLocaleDateString()}
+                                    </span>
+                                    {canCancel(a) ? (
+                                        <div className="query-edit-buttons">
+                                            <button onClick={() => handleCancel(a._id)} className="btn-withdraw">Cancel</button>
+                                        </div>
+                                    ) : (
+                                        <span className="next-available">Too late to cancel</span>
+                                    )}
+                                </div>
+                            </div>
+                        );
+                    })
+                )}
+            </div>
+        </div>
+    );
+}
@@ -1,40 +1,176 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import axios from 'axios';
 import { io } from 'socket.io-client';
 import './App.css';
 
 const API_URL = 'https://teacher-availability-app.onrender.com';
-const socket = io(API_URL);
+// Connected only while a teacher is signed in, whichever view is showing
+const socket = io(API_URL, { autoConnect: false });
+// Keeps the server from treating an open app as abandoned and auto-setting "Not Available"
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// --- Session Tokens: a short-lived access token plus a refresh token that rotates on every use ---
+const TOKEN_KEY = 'teacher-token';
+const REFRESH_TOKEN_KEY = 'teacher-refresh-token';
+
+const storeSession = ({ token, refreshToken }) => {
+    localStorage.setItem(TOKEN_KEY, token);
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+};
+
+const clearSession = () => {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+// Components send the token they were rendered with; swap in the newest one
+axios.interceptors.request.use((config) => {
+    const token = localStorage.getItem(TOKEN_KEY);
+    if (token && config.headers.has('x-auth-token')) config.headers.set('x-auth-token', token);
+    return config;
+});
+
+// Requests that hit an expired token at the same time share one refresh
+let refreshPromise = null;
+const refreshSession = () => {
+    if (!refreshPromise) {
+        const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+        refreshPromise = axios.post(`${API_URL}/api/auth/refresh`, { refreshToken })
+            .then(response => storeSession(response.data))
+            .catch(err => {
+                // Another tab may have rotated the shared token first, which is just as good
+                const latest = localStorage.getItem(REFRESH_TOKEN_KEY);
+                if (!latest || latest === refreshToken) throw err;
+            })
+            .finally(() => { refreshPromise = null; });
+    }
+    return refreshPromise;
+};
+
+// Response interceptor: retries an authenticated request once after a refresh, and
+// calls `onSessionEnded` when the session can't be refreshed any more
+const createAuthRetry = (onSessionEnded) => async (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || !config?.headers?.has('x-auth-token') || config.isRetry) throw error;
+    try {
+        await refreshSession();
+    } catch {
+        onSessionEnded();
+        throw error;
+    }
+    return axios({ ...config, isRetry: true });
+};
+
+// Links in account emails open the app with ?resetToken= or ?verifyToken=
+const readEmailLink = () => {
+    const params = new URLSearchParams(window.location.search);
+    return { resetToken: params.get('resetToken'), verifyToken: params.get('verifyToken') };
+};
+const MIN_PASSWORD_LENGTH = 8;
 
 // --- Main App: Handles Auth Routing ---
 export default function App() {
-    const [token, setToken] = useState(localStorage.getItem('teacher-token') || null);
-    const [view, setView] = useState(token ? 'dashboard' : 'login');
+    const [token, setToken] = useState(localStorage.getItem(TOKEN_KEY) || null);
+    const [emailLink] = useState(readEmailLink);
+    const [view, setView] = useState(() => {
+        if (emailLink.resetToken) return 'reset-password';
+        if (emailLink.verifyToken) return 'verify-email';
+        return token ? 'dashboard' : 'login';
+    });
 
-    const handleLoginSuccess = (newToken) => {
-        localStorage.setItem('teacher-token', newToken);
-        setToken(newToken);
+    // Keep the single-use token out of the address bar and browser history
+    useEffect(() => {
+        if (emailLink.resetToken || emailLink.verifyToken) {
+            window.history.replaceState(null, '', window.location.pathname);
+        }
+    }, [emailLink]);
+
+    const handleLoginSuccess = (session) => {
+        storeSession(session);
+        setToken(session.token);
         setView('dashboard');
     };
 
-    const handleLogout = () => {
+    const handleLogout = useCallback(() => {
+        // Revoke the session on the server too, without making the user wait for it
+        const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+        if (refreshToken) axios.post(`${API_URL}/api/auth/logout`, { refreshToken }).catch(() => {});
         // Optimistically update UI before removing token to prevent flicker
         setView('login');
-        localStorage.removeItem('teacher-token');
+        clearSession();
         setToken(null);
-    };
+    }, []);
+
+    // Expired access tokens are refreshed behind the scenes; a dead session logs out
+    useEffect(() => {
+        const interceptor = axios.interceptors.response.use(undefined, createAuthRetry(handleLogout));
+        return () => axios.interceptors.response.eject(interceptor);
+    }, [handleLogout]);
+
+    // The socket and its heartbeat belong to the session rather than the dashboard, so time
+    // spent in the schedule, stats or profile views doesn't get the teacher timed out
+    useEffect(() => {
+        if (!token) return;
+
+        // The server places this socket in the teacher's private room once the token checks out.
+        // Read at every (re)connect, so the handshake always uses the newest access token.
+        socket.auth = (cb) => cb({ token: localStorage.getItem(TOKEN_KEY) });
+        socket.connect();
+
+        const handleConnectError = (err) => {
+            console.error("Socket connection error:", err.message);
+            if (err.message === 'Token has expired') {
+                refreshSession()
+                    .then(() => socket.connect())
+                    .catch(handleLogout);
+            } else if (err.message === 'Token is not valid' || err.message === 'No token, authorization denied') {
+                handleLogout();
+            }
+        };
+
+        const heartbeat = setInterval(() => {
+            if (socket.connected) socket.emit('heartbeat');
+        }, HEARTBEAT_INTERVAL_MS);
+
+        socket.on('connect_error', handleConnectError);
+        return () => {
+            clearInterval(heartbeat);
+            socket.off('connect_error', handleConnectError);
+            socket.disconnect();
+        };
+    }, [token, handleLogout]);
 
     // Renders the correct view based on auth state
     const renderView = () => {
         switch (view) {
             case 'login':
-                return <Login onLoginSuccess={handleLoginSuccess} onSwitchToRegister={() => setView('register')} />;
+                return <Login onLoginSuccess={handleLoginSuccess} onSwitchToRegister={() => setView('register')} onForgotPassword={() => setView('forgot-password')} />;
             case 'register':
                 return <Register onSwitchToLogin={() => setView('login')} />;
+            case 'forgot-password':
+                return <ForgotPassword onSwitchToLogin={() => setView('login')} />;
+            case 'reset-password':
+                return <ResetPassword resetToken={emailLink.resetToken} onSwitchToLogin={() => setView(token ? 'dashboard' : 'login')} />;
+            case 'verify-email':
+                return <VerifyEmail verifyToken={emailLink.verifyToken} onSwitchToLogin={() => setView(token ? 'dashboard' : 'login')} />;
             case 'dashboard':
-                return <TeacherDashboard token={token} onLogout={handleLogout} />;
+                return (
+                    <TeacherDashboard
+                        token={token}
+                        onLogout={handleLogout}
+                        onOpenSchedule={() => setView('schedule')}
+                        onOpenStats={() => setView('stats')}
+                        onOpenProfile={() => setView('profile')}
+                    />
+                );
+            case 'schedule':
+                return <ScheduleEditor token={token} onBack={() => setView('dashboard')} />;
+            case 'stats':
+                return <TeacherStats token={token} onBack={() => setView('dashboard')} />;
+            case 'profile':
+                return <TeacherProfile token={token} onBack={() => setView('dashboard')} onLogout={handleLogout} />;
             default:
-                return <Login onLoginSuccess={handleLoginSuccess} onSwitchToRegister={() => setView('register')} />;
+                return <Login onLoginSuccess={handleLoginSuccess} onSwitchToRegister={() => setView('register')} onForgotPassword={() => setView('forgot-password')} />;
         }
     };
 
@@ -48,41 +184,81 @@ export default function App() {
 }
 
 // --- Login Component ---
-function Login({ onLoginSuccess, onSwitchToRegister }) {
+function Login({ onLoginSuccess, onSwitchToRegister, onForgotPassword }) {
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+    const [needsVerification, setNeedsVerification] = useState(false);
     const [isLoading, setIsLoading] = useState(false);
+    // Set while the server is turning logins away (429), until the wait it gave has passed
+    const [retryAt, setRetryAt] = useState(null);
+
+    useEffect(() => {
+        if (!retryAt) return;
+        const timer = setTimeout(() => setRetryAt(null), Math.max(retryAt - Date.now(), 0));
+        return () => clearTimeout(timer);
+    }, [retryAt]);
 
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
+        setNotice('');
+        setNeedsVerification(false);
         setIsLoading(true);
         try {
             const response = await axios.post(`${API_URL}/api/auth/login`, { email, password });
-            onLoginSuccess(response.data.token);
+            onLoginSuccess(response.data);
         } catch (err) {
             setError(err.response?.data?.message || 'Login failed. Please try again.');
+            setNeedsVerification(err.response?.data?.code === 'EMAIL_NOT_VERIFIED');
+            if (err.response?.status === 429) {
+                setRetryAt(Date.now() + (err.response.data?.retryAfterSeconds || 60) * 1000);
+            }
         } finally {
             setIsLoading(false);
         }
     };
 
+    const handleResendVerification = async () => {
+        setError('');
+        try {
+            const response = await axios.post(`${API_URL}/api/auth/resend-verification`, { email });
+            setNeedsVerification(false);
+            setNotice(response.data.message);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not send the verification email. Please try again.');
+        }
+    };
+
     return (
         <div>
             <h2 className="form-title">Teacher Login</h2>
             {error && <p className="error-message">{error}</p>}
+            {notice && <p className="success-message">{notice}</p>}
+            {needsVerification && (
+                <p className="switch-form-text">
+                    <button onClick={handleResendVerification} className="switch-form-button">
+                        Resend verification email
+                    </button>
+                </p>
+            )}
             <form onSubmit={handleSubmit} className="form-body">
                 <div className="input-group">
                     <input id="email-address" name="email" type="email" value={email} onChange={e => setEmail(e.target.value)} required className="input-field input-field-top" placeholder="Email address" />
                     <input id="password" name="password" type="password" value={password} onChange={e => setPassword(e.target.value)} required className="input-field input-field-bottom" placeholder="Password" />
                 </div>
                 <div>
-                    <button type="submit" className="submit-button" disabled={isLoading}>
-                        {isLoading ? 'Signing in...' : 'Sign in'}
+                    <button type="submit" className="submit-button" disabled={isLoading || Boolean(retryAt)}>
+                        {retryAt ? 'Please wait...' : isLoading ? 'Signing in...' : 'Sign in'}
                     </button>
                 </div>
             </form>
+            <p className="switch-form-text">
+                <button onClick={onForgotPassword} className="switch-form-button">
+                    Forgot your password?
+                </button>
+            </p>
             <p className="switch-form-text">
                 Don't have an account?{' '}
                 <button onClick={onSwitchToRegister} className="switch-form-button">
@@ -111,8 +287,8 @@ function Register({ onSwitchToLogin }) {
         setIsLoading(true);
         try {
             await axios.post(`${API_URL}/api/auth/register`, { name, email, password, phone, roomno });
-            setSuccess('Registration successful! Redirecting to login...');
-            setTimeout(() => onSwitchToLogin(), 2000);
+            setSuccess('Registration successful! Check your email to verify your address. An administrator must also approve your account before you can log in.');
+            setTimeout(() => onSwitchToLogin(), 4000);
         } catch (err) {
             setError(err.response?.data?.message || 'Registration failed. Please try again.');
         } finally {
@@ -130,7 +306,7 @@ function Register({ onSwitchToLogin }) {
                  <input name="email" type="email" value={email} onChange={e => setEmail(e.target.value)} required className="input-field" placeholder="Email address" />
                  <input name="phone" type="tel" value={phone} onChange={e => setPhone(e.target.value)} required className="input-field" placeholder="Phone Number" />
                  <input name="roomno" type="text" value={roomno} onChange={e => setRoomno(e.target.value)} required className="input-field" placeholder="Room Number" />
-                 <input name="password" type="password" value={password} onChange={e => setPassword(e.target.value)} required className="input-field input-field-bottom" placeholder="Password" />
+                 <input name="password" type="password" value={password} onChange={e => setPassword(e.target.value)} minLength={MIN_PASSWORD_LENGTH} autoComplete="new-password" required className="input-field input-field-bottom" placeholder={`Password (at least ${MIN_PASSWORD_LENGTH} characters)`} />
                 <div>
                     <button type="submit" className="submit-button" disabled={isLoading}>
                         {isLoading ? 'Registering...' : 'Register'}
@@ -147,6 +323,155 @@ function Register({ onSwitchToLogin }) {
     );
 }
 
+// --- Forgot Password Component: emails a reset link ---
+function ForgotPassword({ onSwitchToLogin }) {
+    const [email, setEmail] = useState('');
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+        setIsLoading(true);
+        try {
+            const response = await axios.post(`${API_URL}/api/auth/forgot-password`, { email });
+            setSuccess(response.data.message);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not send a reset link. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div>
+            <h2 className="form-title">Reset Password</h2>
+            {error && <p className="error-message">{error}</p>}
+            {success && <p className="success-message">{success}</p>}
+            <form onSubmit={handleSubmit} className="form-body">
+                <input name="email" type="email" value={email} onChange={e => setEmail(e.target.value)} required className="input-field" placeholder="Email address" />
+                <div>
+                    <button type="submit" className="submit-button" disabled={isLoading}>
+                        {isLoading ? 'Sending...' : 'Send reset link'}
+                    </button>
+                </div>
+            </form>
+            <p className="switch-form-text">
+                <button onClick={onSwitchToLogin} className="switch-form-button">
+                    Back to login
+                </button>
+            </p>
+        </div>
+    );
+}
+
+// --- Reset Password Component: opened from the emailed link ---
+function ResetPassword({ resetToken, onSwitchToLogin }) {
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        if (password !== confirmPassword) return setError('Passwords do not match.');
+        setIsLoading(true);
+        try {
+            const response = await axios.post(`${API_URL}/api/auth/reset-password`, { token: resetToken, password });
+            setSuccess(response.data.message);
+            setTimeout(() => onSwitchToLogin(), 3000);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not reset your password. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div>
+            <h2 className="form-title">Choose a New Password</h2>
+            {error && <p className="error-message">{error}</p>}
+            {success && <p className="success-message">{success}</p>}
+            <form onSubmit={handleSubmit} className="form-body">
+                <input name="password" type="password" value={password} onChange={e => setPassword(e.target.value)} minLength={MIN_PASSWORD_LENGTH} autoComplete="new-password" required className="input-field input-field-top" placeholder="New password" />
+                <input name="confirmPassword" type="password" value={confirmPassword} onChange={e => setConfirmPassword(e.target.value)} autoComplete="new-password" required className="input-field input-field-bottom" placeholder="Confirm new password" />
+                <div>
+                    <button type="submit" className="submit-button" disabled={isLoading || Boolean(success)}>
+                        {isLoading ? 'Saving...' : 'Reset password'}
+                    </button>
+                </div>
+            </form>
+            <p className="switch-form-text">
+                <button onClick={onSwitchToLogin} className="switch-form-button">
+                    Back to login
+                </button>
+            </p>
+        </div>
+    );
+}
+
+// --- Verify Email Component: opened from the emailed link ---
+function VerifyEmail({ verifyToken, onSwitchToLogin }) {
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+    const hasRequestedRef = useRef(false); // Tokens are single-use, so never send one twice
+
+    useEffect(() => {
+        if (hasRequestedRef.current) return;
+        hasRequestedRef.current = true;
+        axios.post(`${API_URL}/api/auth/verify-email`, { token: verifyToken })
+            .then(response => setSuccess(response.data.message))
+            .catch(err => setError(err.response?.data?.message || 'Could not verify your email. Please try again.'));
+    }, [verifyToken]);
+
+    return (
+        <div>
+            <h2 className="form-title">Email Verification</h2>
+            {!error && !success && <p className="switch-form-text">Verifying your email address...</p>}
+            {error && <p className="error-message">{error}</p>}
+            {success && <p className="success-message">{success}</p>}
+            <p className="switch-form-text">
+                <button onClick={onSwitchToLogin} className="switch-form-button">
+                    Continue to login
+                </button>
+            </p>
+        </div>
+    );
+}
+
+// Query states that still belong on the dashboard (waiting, called or being seen)
+const OPEN_STATUSES = ['pending', 'called', 'in_session'];
+
+// Availability statuses; only 'available' and 'online_only' count toward available time
+const STATUS_OPTIONS = [
+    { value: 'available', label: 'Available' },
+    { value: 'online_only', label: 'Available online only' },
+    { value: 'in_class', label: 'In class' },
+    { value: 'in_meeting', label: 'In a meeting' },
+    { value: 'away', label: 'Be right back' },
+    { value: 'unavailable', label: 'Not Available' }
+];
+const STATUS_LABELS = Object.fromEntries(STATUS_OPTIONS.map(({ value, label }) => [value, label]));
+const STATUS_DURATIONS = [
+    { minutes: 0, label: 'Until I change it' },
+    { minutes: 10, label: 'For 10 minutes' },
+    { minutes: 30, label: 'For 30 minutes' },
+    { minutes: 60, label: 'For 1 hour' },
+    { minutes: 120, label: 'For 2 hours' }
+];
+const STATUS_MESSAGE_MAX_LENGTH = 140;
+
+// Reads the status fields from either the teacher's own record or their directory entry
+const readStatus = (teacher) => ({
+    availabilityStatus: teacher.availabilityStatus || (teacher.isAvailable ? 'available' : 'unavailable'),
+    statusMessage: teacher.statusMessage || '',
+    statusExpiresAt: teacher.statusExpiresAt || teacher.statusExpiry?.at || null
+});
+
 // --- Helper function to format seconds into HH:MM:SS ---
 const formatTime = (totalSeconds) => {
     if (totalSeconds < 0) totalSeconds = 0;
@@ -159,76 +484,128 @@ const formatTime = (totalSeconds) => {
 };
 
 // --- Teacher Dashboard Component ---
-function TeacherDashboard({ token, onLogout }) {
+function TeacherDashboard({ token, onLogout, onOpenSchedule, onOpenStats, onOpenProfile }) {
     const [isAvailable, setIsAvailable] = useState(false);
+    const [status, setStatus] = useState(readStatus({}));
+    const [statusDraft, setStatusDraft] = useState({ status: 'available', message: '', minutes: 0 });
+    const [isUpdatingStatus, setIsUpdatingStatus] = useState(false);
     const [teacherName, setTeacherName] = useState('Teacher');
     const [error, setError] = useState('');
     const [availableTime, setAvailableTime] = useState(0); // Time from DB
     const [sessionDuration, setSessionDuration] = useState(0); // Live timer for current session
+    const [sessionStart, setSessionStart] = useState(null); // When today's open session began, per the server
     const [queries, setQueries] = useState([]);
+    const [scheduleOverride, setScheduleOverride] = useState(null); // Manual override of office hours, if any
+    const [openThreadId, setOpenThreadId] = useState(null); // Query whose conversation is expanded
+    const [unreadThreads, setUnreadThreads] = useState([]); // Queries with student messages not yet seen
     const tokenRef = useRef(token); // Use ref to avoid re-running effects when token changes
+    const teacherIdRef = useRef(null);
 
     // Effect for fetching all initial data on component mount
     useEffect(() => {
-        let currentTeacherId;
         try {
             const decodedToken = JSON.parse(atob(tokenRef.current.split('.')[1]));
-            currentTeacherId = decodedToken.id;
+            teacherIdRef.current = decodedToken.id;
         } catch (e) {
             console.error("Invalid token:", e);
             onLogout();
             return;
         }
 
-        socket.emit('joinRoom', currentTeacherId);
-
         const fetchInitialData = async () => {
             try {
                 const headers = { 'x-auth-token': tokenRef.current };
-                const [teachersRes, timeRes, queriesRes] = await Promise.all([
-                    axios.get(`${API_URL}/api/teachers`, { headers }),
+                const [meRes, timeRes, queriesRes] = await Promise.all([
+                    axios.get(`${API_URL}/api/teachers/me`, { headers }),
                     axios.get(`${API_URL}/api/teachers/my-time`, { headers }),
                     axios.get(`${API_URL}/api/queries/teacher`, { headers })
                 ]);
 
-                const currentTeacher = teachersRes.data.find(t => t._id === currentTeacherId);
-                if (currentTeacher) {
-                    setIsAvailable(currentTeacher.isAvailable);
-                    setTeacherName(currentTeacher.name);
-                }
+                const currentTeacher = meRes.data;
+                setIsAvailable(currentTeacher.isAvailable);
+                setStatus(readStatus(currentTeacher));
+                setStatusDraft(draft => ({ ...draft, status: readStatus(currentTeacher).availabilityStatus }));
+                setTeacherName(currentTeacher.name);
+                setScheduleOverride(currentTeacher.scheduleOverride?.setAt ? currentTeacher.scheduleOverride : null);
                 setAvailableTime(timeRes.data.totalAvailableTime);
+                setSessionStart(timeRes.data.currentSessionStart ? new Date(timeRes.data.currentSessionStart) : null);
                 setQueries(queriesRes.data);
             } catch (err) {
+                // Sessions that can't be refreshed are logged out by the auth interceptor
                 console.error("Error fetching initial data:", err);
-                if (err.response?.status === 401 || err.response?.status === 400) {
-                   onLogout(); // Token is invalid or expired
-                } else {
-                   setError("Could not load dashboard data.");
-                }
+                setError("Could not load dashboard data.");
             }
         };
 
         fetchInitialData();
+
+        // Events emitted while disconnected are lost, so resync after reconnecting. The socket
+        // is still connecting on a fresh login, and that first connect needs no resync.
+        let isResync = socket.connected;
+        const handleConnect = () => {
+            if (isResync) fetchInitialData();
+            isResync = true;
+        };
+        socket.on('connect', handleConnect);
+        return () => socket.off('connect', handleConnect);
     }, [onLogout]);
 
-    // Effect for the live session timer
+    // Effect for the live session timer, measured from the server's session start so it survives reloads
     useEffect(() => {
-        let timer;
-        if (isAvailable) {
-            timer = setInterval(() => {
-                setSessionDuration(prev => prev + 1);
-            }, 1000);
+        if (!sessionStart) {
+            setSessionDuration(0);
+            return;
         }
+        const tick = () => setSessionDuration((Date.now() - sessionStart.getTime()) / 1000);
+        tick();
+        const timer = setInterval(tick, 1000);
         return () => clearInterval(timer);
-    }, [isAvailable]);
+    }, [sessionStart]);
+
+    // Re-fetches today's closed total and the open session after availability changes
+    const refreshAvailableTime = useCallback(async () => {
+        try {
+            const timeRes = await axios.get(`${API_URL}/api/teachers/my-time`, { headers: { 'x-auth-token': token } });
+            setAvailableTime(timeRes.data.totalAvailableTime);
+            setSessionStart(timeRes.data.currentSessionStart ? new Date(timeRes.data.currentSessionStart) : null);
+        } catch (err) {
+            console.error("Error fetching available time:", err);
+        }
+    }, [token]);
+
+    // Effect for following status changes made by the office-hours scheduler or an expiring status.
+    // The broadcast only carries the public directory entry, so the override comes from /me.
+    useEffect(() => {
+        const handleStatusUpdate = async (me) => {
+            if (me._id !== teacherIdRef.current || me.isActive === false) return;
+            const next = readStatus(me);
+            if (Object.keys(next).every(key => next[key] === status[key])) return;
+            setStatus(next);
+            if (me.isAvailable !== isAvailable) {
+                setIsAvailable(me.isAvailable);
+                refreshAvailableTime();
+            }
+            try {
+                const meRes = await axios.get(`${API_URL}/api/teachers/me`, { headers: { 'x-auth-token': token } });
+                setScheduleOverride(meRes.data.scheduleOverride?.setAt ? meRes.data.scheduleOverride : null);
+            } catch (err) {
+                console.error("Error refreshing schedule override:", err);
+            }
+        };
+        socket.on('statusUpdate', handleStatusUpdate);
+        return () => socket.off('statusUpdate', handleStatusUpdate);
+    }, [status, isAvailable, refreshAvailableTime, token]);
 
     // Effect for handling incoming socket events
     useEffect(() => {
         const handleNewQuery = (newQuery) => {
-            setQueries(prevQueries => [newQuery, ...prevQueries]);
+            // Queue is first in, first out, so newcomers join at the back
+            setQueries(prevQueries => [...prevQueries, newQuery]);
         };
         const handleQueryUpdate = (updatedQuery) => {
-            if (updatedQuery.status === 'ended') {
+            if (OPEN_STATUSES.includes(updatedQuery.status)) {
+                setQueries(prevQueries => prevQueries.map(q => q._id === updatedQuery._id ? updatedQuery : q));
+            } else {
                 setQueries(prevQueries => prevQueries.filter(q => q._id !== updatedQuery._id));
             }
         };
@@ -240,38 +617,101 @@ function TeacherDashboard({ token, onLogout }) {
         };
     }, []);
 
-    const handleToggle = async () => {
-        const newStatus = !isAvailable;
+    // Effect for flagging student replies on conversations that are collapsed
+    useEffect(() => {
+        const handleQueryMessage = (message) => {
+            if (message.senderRole !== 'student' || message.query === openThreadId) return;
+            setUnreadThreads(prev => prev.includes(message.query) ? prev : [...prev, message.query]);
+        };
+        socket.on('queryMessage', handleQueryMessage);
+        return () => socket.off('queryMessage', handleQueryMessage);
+    }, [openThreadId]);
+
+    const toggleThread = (queryId) => {
+        setOpenThreadId(prev => prev === queryId ? null : queryId);
+        setUnreadThreads(prev => prev.filter(id => id !== queryId));
+    };
+
+    const renderThreadToggle = (query) => (
+        <>
+            <button onClick={() => toggleThread(query._id)} className="thread-toggle">
+                {openThreadId === query._id ? 'Hide messages' : 'Messages'}
+                {unreadThreads.includes(query._id) && <span className="unread-dot" aria-label="New messages" />}
+            </button>
+            {openThreadId === query._id && <QueryThread queryId={query._id} token={token} />}
+        </>
+    );
+
+    const handleStatusSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setIsUpdatingStatus(true);
         try {
-            await axios.put(
+            const response = await axios.put(
                 `${API_URL}/api/teachers/status`,
-                { isAvailable: newStatus },
+                {
+                    status: statusDraft.status,
+                    message: statusDraft.message,
+                    expiresAt: statusDraft.minutes ? new Date(Date.now() + statusDraft.minutes * 60 * 1000).toISOString() : null
+                },
                 { headers: { 'x-auth-token': token } }
             );
-            setIsAvailable(newStatus);
+            setIsAvailable(response.data.isAvailable);
+            setStatus(readStatus(response.data));
+            setScheduleOverride(response.data.scheduleOverride?.setAt ? response.data.scheduleOverride : null);
+            setStatusDraft({ ...statusDraft, message: '', minutes: 0 });
+            // Re-fetch time so the closed total and the live session both come from the server
+            await refreshAvailableTime();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to update status. Please try again.');
+        } finally {
+            setIsUpdatingStatus(false);
+        }
+    };
 
-            if (!newStatus) {
-                // If status changed to unavailable, re-fetch time to get accurate total
-                const timeRes = await axios.get(`${API_URL}/api/teachers/my-time`, { headers: { 'x-auth-token': token } });
-                setAvailableTime(timeRes.data.totalAvailableTime);
-                setSessionDuration(0); // Reset live session timer
-            }
+    const handleResumeSchedule = async () => {
+        setError('');
+        try {
+            const response = await axios.delete(`${API_URL}/api/teachers/status/override`, {
+                headers: { 'x-auth-token': token }
+            });
+            setScheduleOverride(null);
+            setIsAvailable(response.data.isAvailable);
+            setStatus(readStatus(response.data));
+            await refreshAvailableTime();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not resume your schedule. Please try again.');
+        }
+    };
+
+    const handleCallNext = async () => {
+        setError('');
+        try {
+            await axios.post(`${API_URL}/api/queries/teacher/call-next`, {}, {
+                headers: { 'x-auth-token': token }
+            });
+            // The called query is updated in the list via the 'queryUpdated' socket event
         } catch (err) {
-            setError('Failed to update status. Please try again.');
+            setError(err.response?.data?.message || "Could not call the next student. Please try again.");
         }
     };
 
-    const handleEndMeeting = async (queryId) => {
+    // Moves the current query through its lifecycle: 'start', 'end' or 'no-show'
+    const handleTransition = async (queryId, action) => {
+        setError('');
         try {
-            await axios.put(`${API_URL}/api/queries/${queryId}/end`, {}, {
+            await axios.put(`${API_URL}/api/queries/${queryId}/${action}`, {}, {
                 headers: { 'x-auth-token': token }
             });
-            // Query will be removed from the list via the 'queryUpdated' socket event
+            // Query will be updated or removed via the 'queryUpdated' socket event
         } catch (err) {
-            setError("Could not end the meeting. Please try again.");
+            setError(err.response?.data?.message || "Could not update the meeting. Please try again.");
         }
     };
 
+    const currentQuery = queries.find(q => q.status !== 'pending');
+    const pendingQueries = queries.filter(q => q.status === 'pending');
+
     return (
         <div className="dashboard-container">
             <div className="dashboard-header">
@@ -285,42 +725,89 @@ function TeacherDashboard({ token, onLogout }) {
 
             <div className="status-section">
                 <p className="status-text">Your current status is:</p>
-                <span className={`status-badge ${isAvailable ? 'status-available' : 'status-unavailable'}`}>
-                    {isAvailable ? 'Available' : 'Not Available'}
+                <span className={`status-badge status-${status.availabilityStatus}`}>
+                    {STATUS_LABELS[status.availabilityStatus]}
                 </span>
+                {(status.statusMessage || status.statusExpiresAt) && (
+                    <p className="status-details">
+                        {status.statusMessage}
+                        {status.statusExpiresAt && ` (until ${new Date(status.statusExpiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })})`}
+                    </p>
+                )}
                 
                 {error && <p className="error-message">{error}</p>}
 
-                <div className="toggle-wrapper">
-                    <label htmlFor="availability-toggle" className="toggle-label">
-                        <div className="toggle-switch">
-                            <input type="checkbox" id="availability-toggle" className="sr-only" checked={isAvailable} onChange={handleToggle} />
-                            <div className="toggle-bg"></div>
-                            <div className={`toggle-dot ${isAvailable ? 'toggled' : ''}`}></div>
-                        </div>
-                        <div className="toggle-text">
-                            Toggle Availability
+                <form onSubmit={handleStatusSubmit} className="status-picker">
+                    <select value={statusDraft.status} onChange={e => setStatusDraft({ ...statusDraft, status: e.target.value })} className="input-field" aria-label="Status">
+                        {STATUS_OPTIONS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                    <input type="text" value={statusDraft.message} onChange={e => setStatusDraft({ ...statusDraft, message: e.target.value })} maxLength={STATUS_MESSAGE_MAX_LENGTH} placeholder="Optional message, e.g. Back after lunch" className="input-field" aria-label="Status message" />
+                    <select value={statusDraft.minutes} onChange={e => setStatusDraft({ ...statusDraft, minutes: Number(e.target.value) })} className="input-field" aria-label="Status duration">
+                        {STATUS_DURATIONS.map(({ minutes, label }) => <option key={minutes} value={minutes}>{label}</option>)}
+                    </select>
+                    <button type="submit" className="secondary-button" disabled={isUpdatingStatus}>
+                        {isUpdatingStatus ? 'Updating...' : 'Set Status'}
+                    </button>
+                </form>
+
+                {scheduleOverride && (
+                    <p className="override-note">
+                        Office hours overridden
+                        {scheduleOverride.until && ` until ${new Date(scheduleOverride.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`}.{' '}
+                        <button onClick={handleResumeSchedule} className="switch-form-button">Resume schedule</button>
+                    </p>
+                )}
+            </div>
+
+            <div className="queries-section">
+                <h2 className="queries-title">Now Serving</h2>
+                {currentQuery ? (
+                    <div className="current-query">
+                        <span className={`session-badge session-${currentQuery.status}`}>
+                            {currentQuery.status === 'called'
+                                ? `Called at ${new Date(currentQuery.calledAt).toLocaleTimeString()}`
+                                : `In session since ${new Date(currentQuery.startedAt).toLocaleTimeString()}`}
+                        </span>
+                        <p className="query-student"><strong>From:</strong> {currentQuery.studentName}</p>
+                        <p className="query-text">{currentQuery.queryText}</p>
+                        <AttachmentList queryId={currentQuery._id} attachments={currentQuery.attachments} token={token} />
+                        {renderThreadToggle(currentQuery)}
+                        <div className="session-actions">
+                            {currentQuery.status === 'called' && (
+                                <>
+                                    <button onClick={() => handleTransition(currentQuery._id, 'start')} className="start-session-button">
+                                        Start Session
+                                    </button>
+                                    <button onClick={() => handleTransition(currentQuery._id, 'no-show')} className="no-show-button">
+                                        No Show
+                                    </button>
+                                </>
+                            )}
+                            <button onClick={() => handleTransition(currentQuery._id, 'end')} className="end-meeting-button">
+                                End Meeting
+                            </button>
                         </div>
-                    </label>
-                </div>
+                    </div>
+                ) : (
+                    <button onClick={handleCallNext} className="call-next-button" disabled={pendingQueries.length === 0}>
+                        {pendingQueries.length > 0 ? 'Call Next Student' : 'Queue is empty'}
+                    </button>
+                )}
             </div>
 
             <div className="queries-section">
-                <h2 className="queries-title">Pending Queries ({queries.length})</h2>
-                {queries.length > 0 ? (
+                <h2 className="queries-title">Pending Queries ({pendingQueries.length})</h2>
+                {pendingQueries.length > 0 ? (
                     <ul className="queries-list">
-                        {queries.map(query => (
+                        {pendingQueries.map((query, index) => (
                             <li key={query._id} className="query-item">
+                                <span className="query-position">#{index + 1}</span>
                                 <div className="query-content">
                                     <p className="query-student"><strong>From:</strong> {query.studentName}</p>
                                     <p className="query-text">{query.queryText}</p>
+                                    <AttachmentList queryId={query._id} attachments={query.attachments} token={token} />
+                                    {renderThreadToggle(query)}
                                 </div>
-                                <button
-                                    onClick={() => handleEndMeeting(query._id)}
-                                    className="end-meeting-button"
-                                >
-                                    End Meeting
-                                </button>
                             </li>
                         ))}
                     </ul>
@@ -329,9 +816,1029 @@ function TeacherDashboard({ token, onLogout }) {
                 )}
             </div>
 
+            <AppointmentAgenda token={token} />
+
+            <button onClick={onOpenSchedule} className="secondary-button">
+                Manage Office Hours
+            </button>
+
+            <button onClick={onOpenStats} className="secondary-button">
+                View My Stats
+            </button>
+
+            <button onClick={onOpenProfile} className="secondary-button">
+                Edit Profile
+            </button>
+
             <button onClick={onLogout} className="logout-button">
                 Logout
             </button>
         </div>
     );
-}
\ No newline at end of file
+}
+
+// --- Attachment limits, mirroring the server's checks so problems show up before uploading ---
+const ATTACHMENT_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf'];
+const MAX_ATTACHMENTS = 3;
+const MAX_ATTACHMENT_MB = 5;
+
+// Returns an error message for a file selection, or '' if it's acceptable
+const checkAttachments = (files) => {
+    if (files.length > MAX_ATTACHMENTS) return `You can attach at most ${MAX_ATTACHMENTS} files.`;
+    if (files.some(file => !ATTACHMENT_TYPES.includes(file.type))) return 'Only PNG, JPEG, GIF, WebP images and PDFs can be attached.';
+    if (files.some(file => file.size > MAX_ATTACHMENT_MB * 1024 * 1024)) return `Each attachment must be ${MAX_ATTACHMENT_MB} MB or smaller.`;
+    return '';
+};
+
+// Multipart only when there are files, so plain submissions stay JSON
+const toRequestBody = (fields, files) => {
+    if (files.length === 0) return fields;
+    const formData = new FormData();
+    Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+    files.forEach(file => formData.append('attachments', file));
+    return formData;
+};
+
+// --- Helper: save a binary API response as a file download ---
+// The URL is revoked a moment later; revoking straight after click() can cancel the download.
+const saveBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const fetchAttachment = (queryId, attachmentId, token) =>
+    axios.get(`${API_URL}/api/queries/${queryId}/attachments/${attachmentId}`, {
+        headers: { 'x-auth-token': token },
+        responseType: 'blob'
+    });
+
+// --- Attachment Component: files sit behind auth, so they're fetched as blobs instead of linked ---
+// Images load straight away as thumbnails; PDFs are only downloaded when clicked.
+function Attachment({ queryId, attachment, token }) {
+    const [imageUrl, setImageUrl] = useState(null);
+    const isImage = attachment.mimeType.startsWith('image/');
+
+    useEffect(() => {
+        if (!isImage) return;
+        let objectUrl = null;
+        let isCancelled = false;
+        fetchAttachment(queryId, attachment._id, token)
+            .then(response => {
+                if (isCancelled) return;
+                objectUrl = URL.createObjectURL(response.data);
+                setImageUrl(objectUrl);
+            })
+            .catch(err => console.error("Could not load attachment:", err));
+        return () => {
+            isCancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [queryId, attachment._id, token, isImage]);
+
+    const handleDownload = async () => {
+        try {
+            const response = await fetchAttachment(queryId, attachment._id, token);
+            saveBlob(response.data, attachment.originalName);
+        } catch (err) {
+            console.error("Could not download attachment:", err);
+        }
+    };
+
+    if (isImage) {
+        return (
+            <a href={imageUrl || undefined} target="_blank" rel="noopener noreferrer" className="attachment" title={attachment.originalName}>
+                {imageUrl ? <img src={imageUrl} alt={attachment.originalName} className="attachment-thumb" /> : <span className="attachment-file">Loading...</span>}
+            </a>
+        );
+    }
+    return (
+        <button type="button" onClick={handleDownload} className="attachment attachment-file" title={`Download ${attachment.originalName}`}>
+            PDF &middot; {attachment.originalName}
+        </button>
+    );
+}
+
+function AttachmentList({ queryId, attachments, token }) {
+    if (!attachments?.length) return null;
+    return (
+        <div className="attachment-list">
+            {attachments.map(attachment => (
+                <Attachment key={attachment._id} queryId={queryId} attachment={attachment} token={token} />
+            ))}
+        </div>
+    );
+}
+
+// --- Helper: render message text with any web links made clickable ---
+const LINK_PATTERN = /(https?:\/\/[^\s]+)/g;
+const linkify = (text) => text.split(LINK_PATTERN).map((part, i) =>
+    i % 2 === 1 ? <a key={i} href={part} target="_blank" rel="noopener noreferrer">{part}</a> : part
+);
+
+// --- Query Thread Component: follow-up conversation with the student ---
+function QueryThread({ queryId, token }) {
+    const [messages, setMessages] = useState([]);
+    const [text, setText] = useState('');
+    const [files, setFiles] = useState([]);
+    const [error, setError] = useState('');
+    const [isSending, setIsSending] = useState(false);
+    const fileInputRef = useRef(null);
+
+    // Our own messages arrive both in the POST response and over the socket, so merge by id
+    const addMessage = (message) => {
+        setMessages(prev => prev.some(m => m._id === message._id) ? prev : [...prev, message]);
+    };
+
+    useEffect(() => {
+        const fetchMessages = async () => {
+            try {
+                const response = await axios.get(`${API_URL}/api/queries/${queryId}/messages`, {
+                    headers: { 'x-auth-token': token }
+                });
+                setMessages(response.data);
+            } catch (err) {
+                setError(err.response?.data?.message || 'Could not load messages.');
+            }
+        };
+        fetchMessages();
+
+        const handleQueryMessage = (message) => {
+            if (message.query === queryId) addMessage(message);
+        };
+        socket.on('queryMessage', handleQueryMessage);
+        return () => socket.off('queryMessage', handleQueryMessage);
+    }, [queryId, token]);
+
+    const handleSend = async (e) => {
+        e.preventDefault();
+        if (!text.trim() && files.length === 0) return;
+        const attachmentError = checkAttachments(files);
+        if (attachmentError) {
+            setError(attachmentError);
+            return;
+        }
+        setError('');
+        setIsSending(true);
+        try {
+            const response = await axios.post(`${API_URL}/api/queries/${queryId}/messages`, toRequestBody({ text }, files), {
+                headers: { 'x-auth-token': token }
+            });
+            addMessage(response.data);
+            setText('');
+            setFiles([]);
+            fileInputRef.current.value = '';
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not send message.');
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    return (
+        <div className="thread">
+            {messages.length > 0 ? (
+                <ul className="thread-messages">
+                    {messages.map(message => (
+                        <li key={message._id} className={`thread-message ${message.senderRole === 'teacher' ? 'thread-mine' : ''}`}>
+                            <span className="thread-meta">
+                                {message.senderRole === 'teacher' ? 'You' : message.senderName} &middot;{' '}
+                                {new Date(message.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                            </span>
+                            {message.text && <p className="thread-text">{linkify(message.text)}</p>}
+                            <AttachmentList queryId={queryId} attachments={message.attachments} token={token} />
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="override-note">No messages yet.</p>
+            )}
+            {error && <p className="error-message">{error}</p>}
+            <form onSubmit={handleSend} className="thread-form">
+                <input
+                    type="text"
+                    value={text}
+                    onChange={e => setText(e.target.value)}
+                    placeholder="Ask a follow-up or share a link..."
+                    maxLength={2000}
+                    className="input-field"
+                />
+                <label className="thread-attach" title="Attach images or PDFs">
+                    {files.length > 0 ? `${files.length} attached` : 'Attach'}
+                    <input
+                        type="file"
+                        ref={fileInputRef}
+                        accept={ATTACHMENT_TYPES.join(',')}
+                        multiple
+                        onChange={e => setFiles(Array.from(e.target.files))}
+                        hidden
+                    />
+                </label>
+                <button type="submit" className="secondary-button" disabled={isSending || (!text.trim() && files.length === 0)}>
+                    Send
+                </button>
+            </form>
+        </div>
+    );
+}
+
+// --- Helper function to get a local YYYY-MM-DD string for date inputs ---
+const toDateInputValue = (date) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// --- Appointment Agenda Component: booked slots for one day ---
+function AppointmentAgenda({ token }) {
+    const [date, setDate] = useState(() => toDateInputValue(new Date()));
+    const [appointments, setAppointments] = useState([]);
+    const [error, setError] = useState('');
+
+    const fetchAgenda = useCallback(async () => {
+        try {
+            const response = await axios.get(`${API_URL}/api/appointments/teacher`, {
+                headers: { 'x-auth-token': token },
+                params: { date }
+            });
+            setAppointments(response.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not load your agenda.');
+        }
+    }, [token, date]);
+
+    useEffect(() => {
+        fetchAgenda();
+        socket.io.on('reconnect', fetchAgenda);
+        return () => socket.io.off('reconnect', fetchAgenda);
+    }, [fetchAgenda]);
+
+    // New bookings and cancellations for the day on screen arrive live
+    useEffect(() => {
+        const handleAppointmentUpdate = (appointment) => {
+            if (toDateInputValue(new Date(appointment.start)) !== date) return;
+            setAppointments(prev => [...prev.filter(a => a._id !== appointment._id), appointment]
+                .sort((a, b) => new Date(a.start) - new Date(b.start)));
+        };
+        socket.on('appointmentUpdated', handleAppointmentUpdate);
+        return () => socket.off('appointmentUpdated', handleAppointmentUpdate);
+    }, [date]);
+
+    const handleCancel = async (appointmentId) => {
+        if (!window.confirm('Cancel this appointment? The student will be notified.')) return;
+        setError('');
+        try {
+            await axios.put(`${API_URL}/api/appointments/${appointmentId}/cancel`, {}, {
+                headers: { 'x-auth-token': token }
+            });
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not cancel the appointment.');
+        }
+    };
+
+    const formatTimeOfDay = (iso) => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    return (
+        <div className="queries-section">
+            <div className="agenda-header">
+                <h2 className="queries-title">Appointments</h2>
+                <input type="date" value={date} onChange={e => setDate(e.target.value)} className="agenda-date" aria-label="Agenda date" />
+            </div>
+            {error && <p className="error-message">{error}</p>}
+            {appointments.length > 0 ? (
+                <ul className="schedule-list">
+                    {appointments.map(a => (
+                        <li key={a._id} className={`schedule-item ${a.status === 'cancelled' ? 'agenda-cancelled' : ''}`}>
+                            <span>
+                                <strong>{formatTimeOfDay(a.start)}&ndash;{formatTimeOfDay(a.end)}</strong> {a.studentName}
+                                {a.topic && ` \u00b7 ${a.topic}`}
+                                {a.status === 'cancelled' && ` (cancelled by ${a.cancelledBy})`}
+                            </span>
+                            {a.status === 'booked' && (
+                                <button onClick={() => handleCancel(a._id)} className="remove-button" aria-label="Cancel appointment">
+                                    &times;
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="no-queries-text">No appointments on this day.</p>
+            )}
+        </div>
+    );
+}
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// --- Schedule Editor Component: weekly office hours and one-off exceptions ---
+function ScheduleEditor({ token, onBack }) {
+    const [weeklySlots, setWeeklySlots] = useState([]);
+    const [exceptions, setExceptions] = useState([]);
+    const [newSlot, setNewSlot] = useState({ dayOfWeek: 1, startTime: '09:00', endTime: '10:00' });
+    const [newException, setNewException] = useState({ date: '', type: 'cancelled', startTime: '', endTime: '', reason: '' });
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const applySchedule = (schedule) => {
+        setWeeklySlots(schedule.weeklySlots);
+        setExceptions(schedule.exceptions);
+    };
+
+    useEffect(() => {
+        const fetchSchedule = async () => {
+            try {
+                const response = await axios.get(`${API_URL}/api/teachers/schedule`, {
+                    headers: { 'x-auth-token': token }
+                });
+                applySchedule(response.data);
+            } catch (err) {
+                setError(err.response?.data?.message || 'Could not load your schedule.');
+            }
+        };
+        fetchSchedule();
+    }, [token]);
+
+    const showSuccess = (message) => {
+        setSuccess(message);
+        setTimeout(() => setSuccess(''), 3000);
+    };
+
+    const handleAddSlot = (e) => {
+        e.preventDefault();
+        setError('');
+        if (newSlot.startTime >= newSlot.endTime) {
+            setError('Start time must be before end time.');
+            return;
+        }
+        setWeeklySlots(prev => [...prev, { ...newSlot, dayOfWeek: Number(newSlot.dayOfWeek) }]);
+    };
+
+    const handleSaveSlots = async () => {
+        setError('');
+        setIsSaving(true);
+        try {
+            const response = await axios.put(`${API_URL}/api/teachers/schedule/slots`, { weeklySlots }, {
+                headers: { 'x-auth-token': token }
+            });
+            applySchedule(response.data);
+            showSuccess('Weekly office hours saved.');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not save office hours.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleAddException = async (e) => {
+        e.preventDefault();
+        setError('');
+        try {
+            const payload = { ...newException };
+            if (!payload.startTime) delete payload.startTime;
+            if (!payload.endTime) delete payload.endTime;
+            const response = await axios.post(`${API_URL}/api/teachers/schedule/exceptions`, payload, {
+                headers: { 'x-auth-token': token }
+            });
+            applySchedule(response.data);
+            setNewException({ date: '', type: 'cancelled', startTime: '', endTime: '', reason: '' });
+            showSuccess('Exception added.');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not add exception.');
+        }
+    };
+
+    const handleRemoveException = async (exceptionId) => {
+        setError('');
+        try {
+            const response = await axios.delete(`${API_URL}/api/teachers/schedule/exceptions/${exceptionId}`, {
+                headers: { 'x-auth-token': token }
+            });
+            applySchedule(response.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not remove exception.');
+        }
+    };
+
+    const sortedSlots = weeklySlots
+        .map((slot, index) => ({ ...slot, index }))
+        .sort((a, b) => a.dayOfWeek - b.dayOfWeek || a.startTime.localeCompare(b.startTime));
+
+    return (
+        <div className="dashboard-container">
+            <h1 className="dashboard-title">Office Hours</h1>
+            {error && <p className="error-message">{error}</p>}
+            {success && <p className="success-message">{success}</p>}
+
+            <div className="queries-section">
+                <h2 className="queries-title">Weekly Slots</h2>
+                {sortedSlots.length > 0 ? (
+                    <ul className="schedule-list">
+                        {sortedSlots.map(slot => (
+                            <li key={slot._id || `new-${slot.index}`} className="schedule-item">
+                                <span>{DAY_NAMES[slot.dayOfWeek]} {slot.startTime}&ndash;{slot.endTime}</span>
+                                <button
+                                    onClick={() => setWeeklySlots(prev => prev.filter((_, i) => i !== slot.index))}
+                                    className="remove-button"
+                                    aria-label="Remove slot"
+                                >
+                                    &times;
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                ) : (
+                    <p className="no-queries-text">No weekly office hours yet.</p>
+                )}
+                <form onSubmit={handleAddSlot} className="schedule-form">
+                    <select value={newSlot.dayOfWeek} onChange={e => setNewSlot({ ...newSlot, dayOfWeek: e.target.value })} className="input-field">
+                        {DAY_NAMES.map((day, i) => <option key={day} value={i}>{day}</option>)}
+                    </select>
+                    <input type="time" value={newSlot.startTime} onChange={e => setNewSlot({ ...newSlot, startTime: e.target.value })} required className="input-field" />
+                    <input type="time" value={newSlot.endTime} onChange={e => setNewSlot({ ...newSlot, endTime: e.target.value })} required className="input-field" />
+                    <button type="submit" className="secondary-button">Add Slot</button>
+                </form>
+                <button onClick={handleSaveSlots} className="submit-button" disabled={isSaving}>
+                    {isSaving ? 'Saving...' : 'Save Weekly Slots'}
+                </button>
+            </div>
+
+            <div className="queries-section">
+                <h2 className="queries-title">Exceptions</h2>
+                {exceptions.length > 0 ? (
+                    <ul className="schedule-list">
+                        {exceptions.map(ex => (
+                            <li key={ex._id} className="schedule-item">
+                                <span>
+                                    {new Date(ex.date).toLocaleDateString()} &middot; {ex.type === 'cancelled' ? 'Cancelled' : 'Extra hours'}
+                                    {ex.startTime && ` ${ex.startTime}\u2013${ex.endTime}`}
+                                    {ex.reason && ` (${ex.reason})`}
+                                </span>
+                                <button onClick={() => handleRemoveException(ex._id)} className="remove-button" aria-label="Remove exception">
+                                    &times;
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                ) : (
+                    <p className="no-queries-text">No holidays or one-off changes.</p>
+                )}
+                <form onSubmit={handleAddException} className="schedule-form">
+                    <input type="date" value={newException.date} onChange={e => setNewException({ ...newException, date: e.target.value })} required className="input-field" />
+                    <select value={newException.type} onChange={e => setNewException({ ...newException, type: e.target.value })} className="input-field">
+                        <option value="cancelled">Cancelled / Holiday</option>
+                        <option value="extra">Extra Hours</option>
+                    </select>
+                    <input type="time" value={newException.startTime} onChange={e => setNewException({ ...newException, startTime: e.target.value })} required={newException.type === 'extra'} className="input-field" title="Leave empty to cancel the whole day" />
+                    <input type="time" value={newException.endTime} onChange={e => setNewException({ ...newException, endTime: e.target.value })} required={newException.type === 'extra'} className="input-field" />
+                    <input type="text" value={newException.reason} onChange={e => setNewException({ ...newException, reason: e.target.value })} className="input-field" placeholder="Reason (optional)" />
+                    <button type="submit" className="secondary-button">Add Exception</button>
+                </form>
+            </div>
+
+            <button onClick={onBack} className="logout-button">
+                Back to Dashboard
+            </button>
+        </div>
+    );
+}
+
+// --- Helpers for the stats view ---
+const FEEDBACK_TAG_LABELS = {
+    explained_clearly: 'Explained clearly',
+    helpful_examples: 'Helpful examples',
+    patient: 'Patient',
+    ran_out_of_time: 'Ran out of time',
+    still_confused: 'Still confused',
+    hard_to_follow: 'Hard to follow'
+};
+const STATS_PERIODS = { week: 7, month: 28 };
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Heatmap shade for a day's available time: 0 (none) up to 4 (four hours or more)
+const heatLevel = (seconds) => Math.min(Math.ceil(seconds / 3600), 4);
+
+const formatShortDuration = (seconds) => {
+    if (seconds === null) return '—';
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.round((seconds % 3600) / 60);
+    return hours ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+// --- Teacher Stats Component: availability heatmap and query trends ---
+function TeacherStats({ token, onBack }) {
+    const [period, setPeriod] = useState('week');
+    const [availability, setAvailability] = useState(null);
+    const [queryStats, setQueryStats] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchStats = async () => {
+            setError('');
+            const today = new Date();
+            const from = new Date(today);
+            from.setDate(today.getDate() - (STATS_PERIODS[period] - 1));
+            const config = {
+                headers: { 'x-auth-token': token },
+                params: { from: toDateInputValue(from), to: toDateInputValue(today) }
+            };
+            try {
+                const [availabilityResponse, queryResponse] = await Promise.all([
+                    axios.get(`${API_URL}/api/teachers/stats/availability`, config),
+                    axios.get(`${API_URL}/api/teachers/stats/queries`, config)
+                ]);
+                setAvailability(availabilityResponse.data);
+                setQueryStats(queryResponse.data);
+            } catch (err) {
+                setError(err.response?.data?.message || 'Could not load your stats.');
+            }
+        };
+        fetchStats();
+    }, [token, period]);
+
+    // Pad the first row so each day lands under its weekday (weeks start on Monday)
+    const heatmapCells = () => {
+        if (!availability) return [];
+        const firstWeekday = (new Date(`${availability.days[0].date}T00:00`).getDay() + 6) % 7;
+        return [...Array(firstWeekday).fill(null), ...availability.days];
+    };
+    const maxReceived = queryStats ? Math.max(1, ...queryStats.days.map(day => day.received)) : 1;
+
+    return (
+        <div className="dashboard-container">
+            <h1 className="dashboard-title">My Stats</h1>
+            {error && <p className="error-message">{error}</p>}
+
+            <div className="stats-period-toggle">
+                {Object.keys(STATS_PERIODS).map(name => (
+                    <button
+                        key={name}
+                        onClick={() => setPeriod(name)}
+                        className={`stats-period-button ${period === name ? 'stats-period-active' : ''}`}
+                    >
+                        {name === 'week' ? 'Last 7 days' : 'Last 4 weeks'}
+                    </button>
+                ))}
+            </div>
+
+            {availability && queryStats && (
+                <>
+                    <div className="stats-summary">
+                        <div className="stats-tile">
+                            <span className="stats-value">{formatShortDuration(availability.totalAvailableSeconds)}</span>
+                            <span className="stats-label">Available</span>
+                        </div>
+                        <div className="stats-tile">
+                            <span className="stats-value">{queryStats.totalHandled}/{queryStats.totalReceived}</span>
+                            <span className="stats-label">Queries handled</span>
+                        </div>
+                        <div className="stats-tile">
+                            <span className="stats-value">{formatShortDuration(queryStats.averageHandlingSeconds)}</span>
+                            <span className="stats-label">Avg. time to end</span>
+                        </div>
+                        <div className="stats-tile">
+                            <span className="stats-value">
+                                {queryStats.satisfactionRate === null ? '—' : `${queryStats.satisfactionRate}%`}
+                            </span>
+                            <span className="stats-label">Satisfied ({queryStats.satisfied + queryStats.notSatisfied} rated)</span>
+                        </div>
+                    </div>
+
+                    <div className="queries-section">
+                        <h2 className="queries-title">
+                            Feedback{queryStats.averageRating !== null && ` \u00b7 ${queryStats.averageRating} / 5 from ${queryStats.ratedCount}`}
+                        </h2>
+                        {queryStats.ratedCount > 0 ? (
+                            <>
+                                <ul className="rating-bars">
+                                    {[5, 4, 3, 2, 1].map(stars => (
+                                        <li key={stars} className="rating-bar-row">
+                                            <span className="rating-bar-label">{stars}&#9733;</span>
+                                            <div className="rating-bar-track">
+                                                <div
+                                                    className="rating-bar-fill"
+                                                    style={{ width: `${(queryStats.ratingCounts[stars - 1] / queryStats.ratedCount) * 100}%` }}
+                                                />
+                                            </div>
+                                            <span className="rating-bar-count">{queryStats.ratingCounts[stars - 1]}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                                <div className="feedback-tags">
+                                    {Object.entries(queryStats.tagCounts)
+                                        .filter(([, count]) => count > 0)
+                                        .sort((a, b) => b[1] - a[1])
+                                        .map(([tag, count]) => (
+                                            <span key={tag} className="feedback-tag">{FEEDBACK_TAG_LABELS[tag]} &times;{count}</span>
+                                        ))}
+                                </div>
+                                {queryStats.recentComments.length > 0 && (
+                                    <ul className="schedule-list">
+                                        {queryStats.recentComments.map(c => (
+                                            <li key={c.submittedAt} className="feedback-comment">
+                                                <span className="thread-meta">{c.rating}&#9733; &middot; {new Date(c.submittedAt).toLocaleDateString()}</span>
+                                                <p className="thread-text">{c.comment}</p>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </>
+                        ) : (
+                            <p className="no-queries-text">No ratings in this period yet.</p>
+                        )}
+                    </div>
+
+                    <div className="queries-section">
+                        <h2 className="queries-title">Available Hours</h2>
+                        <div className="heatmap">
+                            {WEEKDAY_LABELS.map(label => <span key={label} className="heatmap-label">{label}</span>)}
+                            {heatmapCells().map((day, index) => day ? (
+                                <span
+                                    key={day.date}
+                                    className={`heatmap-cell heat-${heatLevel(day.availableSeconds)}`}
+                                    title={`${new Date(`${day.date}T00:00`).toLocaleDateString()}: ${formatShortDuration(day.availableSeconds)}`}
+                                >
+                                    {Number(day.date.slice(-2))}
+                                </span>
+                            ) : (
+                                <span key={`pad-${index}`} />
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="queries-section">
+                        <h2 className="queries-title">Queries per Day</h2>
+                        <div className="bar-chart">
+                            {queryStats.days.map(day => (
+                                <div key={day.date} className="bar-column" title={`${day.date}: ${day.handled} of ${day.received} handled`}>
+                                    <div className="bar-track">
+                                        <div className="bar-received" style={{ height: `${(day.received / maxReceived) * 100}%` }}>
+                                            <div className="bar-handled" style={{ height: day.received ? `${(day.handled / day.received) * 100}%` : 0 }} />
+                                        </div>
+                                    </div>
+                                    <span className="bar-label">{Number(day.date.slice(-2))}</span>
+                                </div>
+                            ))}
+                        </div>
+                        <p className="override-note">Lighter bars are queries received; the darker part was handled.</p>
+                    </div>
+                </>
+            )}
+
+            <button onClick={onBack} className="logout-button">
+                Back to Dashboard
+            </button>
+        </div>
+    );
+}
+
+// --- Helper function to name a device from its user agent, e.g. "Firefox on Windows" ---
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const PLATFORMS = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+const describeDevice = (userAgent = '') => {
+    const browser = BROWSERS.find(([marker]) => userAgent.includes(marker))?.[1] || 'Unknown browser';
+    const platform = PLATFORMS.find(([marker]) => userAgent.includes(marker))?.[1] || 'unknown device';
+    return `${browser} on ${platform}`;
+};
+
+// --- Active Sessions Component: every signed-in device, with remote logout ---
+function ActiveSessions({ token, onLogout }) {
+    const [sessions, setSessions] = useState([]);
+    const [error, setError] = useState('');
+
+    const fetchSessions = useCallback(async () => {
+        try {
+            const response = await axios.get(`${API_URL}/api/auth/sessions`, {
+                headers: { 'x-auth-token': token }
+            });
+            setSessions(response.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not load your sessions.');
+        }
+    }, [token]);
+
+    useEffect(() => {
+        fetchSessions();
+    }, [fetchSessions]);
+
+    const handleEndSession = async (sessionId) => {
+        setError('');
+        try {
+            await axios.delete(`${API_URL}/api/auth/sessions/${sessionId}`, {
+                headers: { 'x-auth-token': token }
+            });
+            fetchSessions();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not end that session.');
+        }
+    };
+
+    const handleLogoutAll = async () => {
+        if (!window.confirm('Log out of every device, including this one?')) return;
+        setError('');
+        try {
+            await axios.post(`${API_URL}/api/auth/logout-all`, {}, {
+                headers: { 'x-auth-token': token }
+            });
+            onLogout();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not log out of all devices.');
+        }
+    };
+
+    return (
+        <div className="queries-section">
+            <h2 className="queries-title">Active Sessions</h2>
+            {error && <p className="error-message">{error}</p>}
+            <ul className="session-list">
+                {sessions.map(session => (
+                    <li key={session._id} className="session-item">
+                        <div>
+                            <p className="session-device">
+                                {describeDevice(session.userAgent)}
+                                {session.current && <span className="session-current">This device</span>}
+                            </p>
+                            <p className="session-meta">
+                                Last active {new Date(session.lastUsedAt).toLocaleString()}{session.ip && ` \u00b7 ${session.ip}`}
+                            </p>
+                        </div>
+                        {!session.current && (
+                            <button onClick={() => handleEndSession(session._id)} className="secondary-button">
+                                Log out
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+            <button onClick={handleLogoutAll} className="secondary-button">
+                Log out of all devices
+            </button>
+        </div>
+    );
+}
+
+const AVATAR_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const MAX_AVATAR_MB = 2;
+const EMPTY_PASSWORDS = { currentPassword: '', newPassword: '', confirmPassword: '' };
+const PRIVACY_OPTIONS = [
+    { field: 'email', label: 'Show my email to students' },
+    { field: 'phone', label: 'Show my phone number to students' },
+    { field: 'roomno', label: 'Show my room number to students' }
+];
+
+// --- Teacher Profile Component: contact and directory details, privacy, avatar, password and sessions ---
+function TeacherProfile({ token, onBack, onLogout }) {
+    const [profile, setProfile] = useState({ name: '', phone: '', roomno: '', department: '', designation: '', subjects: '' });
+    const [privacy, setPrivacy] = useState({ email: true, phone: false, roomno: true });
+    const [teacherId, setTeacherId] = useState(null);
+    const [avatar, setAvatar] = useState(null);
+    const [avatarUrl, setAvatarUrl] = useState(null);
+    const [passwords, setPasswords] = useState(EMPTY_PASSWORDS);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [isUploading, setIsUploading] = useState(false);
+    const [isChangingPassword, setIsChangingPassword] = useState(false);
+    const avatarInputRef = useRef(null);
+
+    const applyProfile = (teacher) => {
+        setTeacherId(teacher._id);
+        if (teacher.privacy) setPrivacy(teacher.privacy);
+        setAvatar(teacher.avatar?.updatedAt ? teacher.avatar : null);
+        setProfile({
+            name: teacher.name || '',
+            phone: teacher.phone || '',
+            roomno: teacher.roomno || '',
+            department: teacher.department || '',
+            designation: teacher.designation || '',
+            subjects: (teacher.subjects || []).join(', ')
+        });
+    };
+
+    const showSuccess = (message) => {
+        setSuccess(message);
+        setTimeout(() => setSuccess(''), 3000);
+    };
+
+    useEffect(() => {
+        const fetchProfile = async () => {
+            try {
+                const response = await axios.get(`${API_URL}/api/teachers/me`, {
+                    headers: { 'x-auth-token': token }
+                });
+                applyProfile(response.data);
+            } catch (err) {
+                setError(err.response?.data?.message || 'Could not load your profile.');
+            }
+        };
+        fetchProfile();
+    }, [token]);
+
+    // The avatar route needs a token, so the preview is fetched as a blob rather than linked
+    const avatarVersion = avatar ? new Date(avatar.updatedAt).getTime() : null;
+    useEffect(() => {
+        if (!teacherId || !avatarVersion) return;
+        let objectUrl = null;
+        let isCancelled = false;
+        axios.get(`${API_URL}/api/teachers/${teacherId}/avatar?v=${avatarVersion}`, {
+            headers: { 'x-auth-token': token },
+            responseType: 'blob'
+        })
+            .then(response => {
+                if (isCancelled) return;
+                objectUrl = URL.createObjectURL(response.data);
+                setAvatarUrl(objectUrl);
+            })
+            .catch(err => console.error("Could not load avatar:", err));
+        return () => {
+            isCancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+            setAvatarUrl(null);
+        };
+    }, [teacherId, avatarVersion, token]);
+
+    const handleChange = (e) => setProfile({ ...profile, [e.target.name]: e.target.value });
+    const handlePrivacyChange = (e) => setPrivacy({ ...privacy, [e.target.name]: e.target.checked });
+    const handlePasswordChange = (e) => setPasswords({ ...passwords, [e.target.name]: e.target.value });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+        setIsSaving(true);
+        try {
+            const response = await axios.put(`${API_URL}/api/teachers/profile`, { ...profile, privacy }, {
+                headers: { 'x-auth-token': token }
+            });
+            applyProfile(response.data);
+            showSuccess('Profile saved.');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not save your profile.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleAvatarChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setError('');
+        setSuccess('');
+        if (!AVATAR_TYPES.includes(file.type)) {
+            return setError('Avatars must be PNG, JPEG, GIF or WebP images.');
+        }
+        if (file.size > MAX_AVATAR_MB * 1024 * 1024) {
+            return setError(`Avatars are limited to ${MAX_AVATAR_MB} MB.`);
+        }
+
+        const body = new FormData();
+        body.append('avatar', file);
+        setIsUploading(true);
+        try {
+            const response = await axios.put(`${API_URL}/api/teachers/avatar`, body, {
+                headers: { 'x-auth-token': token }
+            });
+            applyProfile(response.data);
+            showSuccess('Avatar updated.');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not upload your avatar.');
+        } finally {
+            setIsUploading(false);
+        }
+    };
+
+    const handleAvatarRemove = async () => {
+        setError('');
+        setSuccess('');
+        setIsUploading(true);
+        try {
+            const response = await axios.delete(`${API_URL}/api/teachers/avatar`, {
+                headers: { 'x-auth-token': token }
+            });
+            applyProfile(response.data);
+            showSuccess('Avatar removed.');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not remove your avatar.');
+        } finally {
+            setIsUploading(false);
+        }
+    };
+
+    const handlePasswordSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+        if (passwords.newPassword.length < MIN_PASSWORD_LENGTH) {
+            return setError(`New password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+        }
+        if (passwords.newPassword !== passwords.confirmPassword) {
+            return setError('New passwords do not match.');
+        }
+
+        setIsChangingPassword(true);
+        try {
+            await axios.put(`${API_URL}/api/teachers/password`, {
+                currentPassword: passwords.currentPassword,
+                newPassword: passwords.newPassword
+            }, {
+                headers: { 'x-auth-token': token }
+            });
+            setPasswords(EMPTY_PASSWORDS);
+            showSuccess('Password changed.');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not change your password.');
+        } finally {
+            setIsChangingPassword(false);
+        }
+    };
+
+    return (
+        <div className="dashboard-container">
+            <h1 className="dashboard-title">My Profile</h1>
+            {error && <p className="error-message">{error}</p>}
+            {success && <p className="success-message">{success}</p>}
+
+            <div className="queries-section">
+                <h2 className="queries-title">Profile Picture</h2>
+                <div className="avatar-editor">
+                    {avatar && avatarUrl ? (
+                        <img src={avatarUrl} alt="Your avatar" className="avatar-preview" />
+                    ) : (
+                        <div className="avatar-preview avatar-placeholder">{profile.name.charAt(0).toUpperCase() || '?'}</div>
+                    )}
+                    <div className="avatar-actions">
+                        <input ref={avatarInputRef} type="file" accept={AVATAR_TYPES.join(',')} onChange={handleAvatarChange} hidden />
+                        <button type="button" onClick={() => avatarInputRef.current.click()} className="secondary-button" disabled={isUploading}>
+                            {isUploading ? 'Working...' : avatar ? 'Change Picture' : 'Upload Picture'}
+                        </button>
+                        {avatar && (
+                            <button type="button" onClick={handleAvatarRemove} className="secondary-button" disabled={isUploading}>
+                                Remove
+                            </button>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            <form onSubmit={handleSubmit} className="queries-section">
+                <h2 className="queries-title">Contact Details</h2>
+                <div className="profile-fields">
+                    <label htmlFor="name" className="profile-label">Name</label>
+                    <input id="name" name="name" type="text" value={profile.name} onChange={handleChange} maxLength={100} required className="input-field" />
+                    <label htmlFor="phone" className="profile-label">Phone</label>
+                    <input id="phone" name="phone" type="tel" value={profile.phone} onChange={handleChange} maxLength={100} required className="input-field" />
+                    <label htmlFor="roomno" className="profile-label">Room Number</label>
+                    <input id="roomno" name="roomno" type="text" value={profile.roomno} onChange={handleChange} maxLength={100} required className="input-field" />
+                </div>
+
+                <h2 className="queries-title">Directory Details</h2>
+                <div className="profile-fields">
+                    <label htmlFor="department" className="profile-label">Department</label>
+                    <input id="department" name="department" type="text" value={profile.department} onChange={handleChange} maxLength={100} placeholder="e.g. Computer Science" className="input-field" />
+                    <label htmlFor="designation" className="profile-label">Designation</label>
+                    <input id="designation" name="designation" type="text" value={profile.designation} onChange={handleChange} maxLength={100} placeholder="e.g. Assistant Professor" className="input-field" />
+                    <label htmlFor="subjects" className="profile-label">Subjects</label>
+                    <input id="subjects" name="subjects" type="text" value={profile.subjects} onChange={handleChange} placeholder="Comma-separated, e.g. Algebra, Calculus" className="input-field" />
+                </div>
+
+                <h2 className="queries-title">Privacy</h2>
+                <div className="profile-fields">
+                    {PRIVACY_OPTIONS.map(({ field, label }) => (
+                        <label key={field} className="privacy-option">
+                            <input type="checkbox" name={field} checked={privacy[field]} onChange={handlePrivacyChange} />
+                            {label}
+                        </label>
+                    ))}
+                </div>
+                <button type="submit" className="submit-button" disabled={isSaving}>
+                    {isSaving ? 'Saving...' : 'Save Profile'}
+                </button>
+            </form>
+
+            <form onSubmit={handlePasswordSubmit} className="queries-section">
+                <h2 className="queries-title">Change Password</h2>
+                <div className="profile-fields">
+                    <label htmlFor="currentPassword" className="profile-label">Current Password</label>
+                    <input id="currentPassword" name="currentPassword" type="password" value={passwords.currentPassword} onChange={handlePasswordChange} autoComplete="current-password" required className="input-field" />
+                    <label htmlFor="newPassword" className="profile-label">New Password</label>
+                    <input id="newPassword" name="newPassword" type="password" value={passwords.newPassword} onChange={handlePasswordChange} autoComplete="new-password" minLength={MIN_PASSWORD_LENGTH} required className="input-field" />
+                    <label htmlFor="confirmPassword" className="profile-label">Confirm New Password</label>
+                    <input id="confirmPassword" name="confirmPassword" type="password" value={passwords.confirmPassword} onChange={handlePasswordChange} autoComplete="new-password" required className="input-field" />
+                </div>
+                <button type="submit" className="submit-button" disabled={isChangingPassword}>
+                    {isChangingPassword ? 'Changing...' : 'Change Password'}
+                </button>
+            </form>
+
+            <ActiveSessions token={token} onLogout={onLogout} />
+
+            <button onClick={onBack} className="logout-button">
+                Back to Dashboard
+            </button>
+        </div>
+    );
+}